@@ -5,30 +5,187 @@
   OpenThreat IMAPSync server
   - /sync       : full synchronization (WS log stream + progress)
   - /check-sync : credentials check (--justlogin) via the same WS pipeline with 10s timeout
+  - /plan       : dry run (--dry --justfolders) that reports what would be migrated per folder
   - /cancel     : cancel running job via abort file
+  - /jobs/:id/pause, /jobs/:id/resume : suspend a running sync (SIGSTOP) and continue it (SIGCONT)
+  - /batch      : bulk migration from an imapsync batch file (one child sync job per line)
+  - /jobs       : sync job history (filter by status, host, user, date range), /jobs/:id for details
+  - /jobs/:id/log : stored log file (?tail=N, Range requests), also after the job has finished
+  - /jobs/:id/plan : report of a finished /plan job as JSON or CSV
+  - /jobs/:id/summary : end-of-sync statistics (lib/summary.js) as JSON or CSV
+  - /jobs/:id/verification : pass/fail report of the verify stage (lib/verify.js) as JSON or CSV
+  - /schedules  : recurring syncs with a cron expression and stored, encrypted credentials
+  - /profiles   : saved server profiles (host, port, SSL/STARTTLS, auth mechanism, optional account)
+  - /oauth      : OAuth2 sign-in for Gmail / Microsoft 365 (lib/oauth.js), used with auth1 / auth2
+  - /webhooks   : signed outbound POSTs for sync job lifecycle events (lib/webhooks.js), admins only
+
+  GET /metrics serves Prometheus metrics (lib/metrics.js) to admins, or to a scraper sending
+  "Authorization: Bearer <METRICS_TOKEN>".
+
+  A /sync job with "notifyEmail" mails its result (summary, exit status, duration, log link)
+  through the SMTP relay of lib/mailer.js when it completes or fails.
+
+  Sync jobs are queued: at most MAX_CONCURRENT_SYNCS imapsync processes run at once,
+  and at most MAX_SYNCS_PER_HOST of them against the same source host.
+  Bandwidth limits (--maxbytespersecond, --maxmessagespersecond, --maxbytesafter) come from the
+  job's options and the per-host rules of lib/throttle.js (admins, /throttle/rules); running jobs
+  are restarted or re-queued when a time-of-day window changes their limits.
+
+  Every route except /login needs an authenticated user (lib/auth.js, AUTH_MODE).
+  Jobs and batches record their owner; only the owner or an admin can see or control them.
+
+  Extra imapsync flags come from a validated "options" object (lib/options.js).
+  /sync, /check-sync and /plan also take profile1 / profile2 instead of the raw
+  host, user, password and connection fields (lib/profiles.js).
+  Failed runs carry a structured "error" ({category, title, hint, host, exitCode, line},
+  lib/errors.js) in the done event and the job record.
+  Schedules (lib/schedules.js) are checked every SCHEDULE_TICK_MS; a due schedule queues a
+  normal sync job, or skips the run while its previous job is still queued or running.
+  A /sync or /batch job with "verify" goes to status "verifying" after a successful run:
+  imapsync --justfoldersizes (and optionally a --dry --checkmessageexists pass) compares the
+  folders of both sides, and the report is attached to the job before it finishes.
+  A failed attempt is retried when the job's "retry" policy covers its error category
+  (lib/retry.js): the job waits in status "retrying" ({type:"retry"} event), then goes back
+  to the queue and appends to the same log file.
+
+  Every imapsync process (sync, --justlogin checks of /check-sync, /check and /check-stream,
+  /plan, the verify runs) is started by lib/runner.js, which builds the flags of the mode and
+  emits redacted lines, timeouts and the exit; attachRun() feeds a job's WS clients and log.
+
+  Passwords and OAuth2 access tokens are handed to imapsync through 0600 files
+  (--passfile1/2, --oauthaccesstoken1/2), never on the
+  command line, and scrubbed from every output line before it is logged or sent.
+
+  Sync job metadata (no passwords) is persisted to lib/jobstore and reloaded on boot.
+  Finished jobs, batches and old logs are released, compressed and removed by the retention
+  sweeper (lib/retention.js); admins can inspect and run it at /admin/retention.
+
+  WebSocket (?job=<id>&since=<seq>): every job event is JSON with a sequence number
+  ({type:"log", seq, line}, {type:"progress", seq, ...}, {type:"done", seq, ...}).
+  The last REPLAY_BUFFER_SIZE events are kept in memory; a client reconnecting with
+  since=<last seen seq> gets an exact replay, or {type:"reset"} followed by the
+  on-disk log when part of the gap is no longer in memory.
+  {type:"folders"} per-folder snapshots (current folder, done/total, bytes, rates, ETA) are
+  not sequenced: they are sent at most once per second and on connect.
   
-  Timeout logic:
+  Timeout logic (lib/runner.js):
   - Check Credentials: 10 seconds absolute timeout
   - Start Sync: inactivity timeout (resets on each log line)
+  - Plan and verify runs: absolute timeout and the same inactivity timeout
 */
 
 const express = require("express");
-const { spawn } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const zlib = require("zlib");
 const http = require("http");
 const url = require("url");
 const { WebSocketServer } = require("ws");
+const jobStore = require("./lib/jobstore");
+const { readTail, readGzipTail, parseRange } = require("./lib/logfile");
+const auth = require("./lib/auth");
+const { removeStalePassfiles, secretsConfigured } = require("./lib/secrets");
+const { validateOptions, connectionArgs, syncArgs, limitArgs } = require("./lib/options");
+const { createPlanParser, planToCsv } = require("./lib/plan");
+const { createSummaryParser, summaryToCsv } = require("./lib/summary");
+const { validateVerify, createVerifyParser, verificationToCsv } = require("./lib/verify");
+const { classifyOutput } = require("./lib/errors");
+const { validateRetryPolicy, shouldRetry, retryDelayMs } = require("./lib/retry");
+const scheduleStore = require("./lib/schedules");
+const profileStore = require("./lib/profiles");
+const oauth = require("./lib/oauth");
+const webhooks = require("./lib/webhooks");
+const mailer = require("./lib/mailer");
+const metrics = require("./lib/metrics");
+const retention = require("./lib/retention");
+const { LOG_ROOT } = require("./lib/paths");
+const throttle = require("./lib/throttle");
+const runner = require("./lib/runner");
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ noServer: true });
 
 app.use(express.json({ limit: "100kb" }));
+
+/** GET /metrics for a Prometheus scraper: with METRICS_TOKEN set, a matching bearer token replaces the login */
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+function metricsTokenMatches(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  if (!METRICS_TOKEN || !match) return false;
+  const digest = (s) => crypto.createHash("sha256").update(s).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(METRICS_TOKEN));
+}
+
+app.get("/metrics", (req, res, next) => {
+  if (!metricsTokenMatches(req)) return next();
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
+/** Authentication: the login page and its assets are public, everything else needs a user */
+const PUBLIC_PATHS = new Set(["/login", "/login.html", "/images/logo256.png"]);
+
+app.use((req, res, next) => {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+
+  const user = auth.authenticate(req);
+  if (user) {
+    req.user = user;
+    return next();
+  }
+
+  if (auth.AUTH_MODE === "local" && req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+    return res.redirect("/login.html");
+  }
+  res.status(401).json({ error: "Authentication required" });
+});
+
+function requireAdmin(req, res, next) {
+  if (req.user && req.user.role === "admin") return next();
+  res.status(403).json({ error: "Admin role required" });
+}
+
 app.use(express.static(path.join(__dirname, "public")));
 
 const jobs = new Map();
+const batches = new Map();
+
+// Sync queue: jobs wait here until a global and a per-source-host slot are free
+const syncQueue = []; // [{ job, payload }]
+const runningSyncs = new Set();
+const MAX_CONCURRENT_SYNCS = Math.max(1, Number(process.env.MAX_CONCURRENT_SYNCS || 4));
+const MAX_SYNCS_PER_HOST = Math.max(1, Number(process.env.MAX_SYNCS_PER_HOST || 2));
+
+// Replay: sequenced events kept per job, and how much of the on-disk log is sent when they are not enough
+const REPLAY_BUFFER_SIZE = Math.max(100, Number(process.env.REPLAY_BUFFER_SIZE || 5000));
+const REPLAY_DISK_MAX_BYTES = 1024 * 1024;
+
+/** Prometheus metrics (GET /metrics) */
+const jobsFinishedTotal = metrics.counter(
+  "imapsync_jobs_finished_total",
+  "Sync jobs that ended, by outcome and error category",
+  ["outcome", "category"]
+);
+const jobDurationSeconds = metrics.histogram(
+  "imapsync_job_duration_seconds",
+  "Running time of ended sync jobs (last attempt)",
+  [10, 30, 60, 300, 900, 1800, 3600, 7200, 14400, 28800, 86400]
+);
+const messagesCopiedTotal = metrics.counter("imapsync_messages_copied_total", "Messages copied by imapsync");
+const bytesCopiedTotal = metrics.counter("imapsync_bytes_copied_total", "Size of the messages copied by imapsync in bytes");
+const inactivityTimeoutsTotal = metrics.counter("imapsync_inactivity_timeouts_total", "imapsync runs of jobs aborted by the inactivity timeout");
+const cancellationsTotal = metrics.counter("imapsync_cancellations_total", "Jobs cancelled by a user, by stage", ["stage"]);
+const spawnFailuresTotal = metrics.counter("imapsync_spawn_failures_total", "imapsync processes that failed to start, by mode", ["mode"]);
+metrics.gauge("imapsync_jobs", "Sync jobs in memory by status", () => {
+  const counts = { queued: 0, running: 0, paused: 0, verifying: 0, retrying: 0, finished: 0, interrupted: 0 };
+  for (const job of jobs.values()) {
+    if (job.source && job.status in counts) counts[job.status] += 1;
+  }
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+metrics.gauge("imapsync_websocket_clients", "Connected WebSocket clients", () => wss.clients.size);
 
 /** Utilities */
 function makeJobId() {
@@ -39,11 +196,159 @@ function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
+function createJob(extra) {
+  return {
+    id: makeJobId(),
+    createdAt: Date.now(),
+    buffer: [], // replay ring: [{ seq, payload, logOffset }]
+    seq: 0,
+    logBytes: 0,
+    sockets: new Set(),
+    status: "pending",
+    progress: { copied: 0, total: undefined, percentage: undefined },
+    attempt: 1,
+    attempts: [], // finished attempts: [{ attempt, startedAt, finishedAt, exitCode, error }]
+    ...extra,
+  };
+}
+
+/** Persistent part of a sync job (see lib/jobstore.js) */
+function jobRecord(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    source: job.source,
+    destination: job.destination,
+    owner: job.owner || null,
+    batchId: job.batchId || null,
+    exitCode: job.exitCode === undefined ? null : job.exitCode,
+    signal: job.signal || null,
+    cancelled: job.cancelled === true,
+    timedOut: job.timedOut === true,
+    progress: job.progress,
+    logFilePath: job.logFilePath || null,
+    options: job.options || {},
+    summary: job.summary || null,
+    error: job.error || null,
+    retry: job.retry || null,
+    attempt: job.attempt || 1,
+    attempts: job.attempts || [],
+    nextAttemptAt: job.nextAttemptAt || null,
+    scheduleId: job.scheduleId || null,
+    notifyEmail: job.notifyEmail || null,
+    limits: job.limits || null,
+    pausedAt: job.pausedAt || null,
+    pausedMs: job.pausedMs || 0,
+    verify: job.verify || null,
+    verification: job.verification || null,
+  };
+}
+
+function persistJob(job) {
+  job.persistedAt = Date.now();
+  jobStore.saveJob(jobRecord(job));
+}
+
+/**
+ * Job outcome as shown in the history:
+ * success | failed | cancelled | interrupted | queued | running | paused | verifying | retrying
+ */
+function jobOutcome(job) {
+  if (["queued", "running", "paused", "verifying", "retrying", "interrupted"].includes(job.status)) return job.status;
+  if (job.cancelled) return "cancelled";
+  return job.exitCode === 0 ? "success" : "failed";
+}
+
+/** Public view of a sync job for the history API */
+function jobSummary(job) {
+  const rec = jobRecord(job);
+  const end = rec.finishedAt || (["running", "paused", "verifying"].includes(job.status) ? Date.now() : null);
+  return {
+    ...rec,
+    outcome: jobOutcome(job),
+    durationMs: rec.startedAt && end ? end - rec.startedAt : null,
+    queuePosition: job.status === "queued" ? job.queuePosition : null,
+  };
+}
+
+/** Sync job lifecycle event for outside listeners (lib/webhooks.js) */
+function notifyJob(job, event) {
+  webhooks.dispatch(event, job.id, () => jobSummary(job));
+}
+
+/** Final event of a sync job: job.finished, job.failed or job.cancelled */
+function notifyJobDone(job) {
+  const outcome = jobOutcome(job);
+  if (outcome === "cancelled") notifyJob(job, "job.cancelled");
+  else notifyJob(job, outcome === "success" ? "job.finished" : "job.failed");
+  if (job.notifyEmail && outcome !== "cancelled") emailJobResult(job);
+
+  jobsFinishedTotal.inc({ outcome, category: job.error ? job.error.category : "none" });
+  if (job.startedAt && job.finishedAt) jobDurationSeconds.observe((job.finishedAt - job.startedAt) / 1000);
+}
+
+/** Mail the result of a job to its notifyEmail address */
+function emailJobResult(job) {
+  const { subject, text } = mailer.jobMessage(jobSummary(job), job.publicUrl);
+  mailer.sendMail({ to: job.notifyEmail, subject, text }).then(
+    () => console.log(`Job ${job.id}: result mailed to ${job.notifyEmail}`),
+    (err) => console.warn(`Job ${job.id}: failed to mail the result to ${job.notifyEmail}: ${err.message}`)
+  );
+}
+
+/** Base URL for links in notifications: PUBLIC_URL, or the URL the request came in on */
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+}
+
+/** Rebuild in-memory jobs from the store so finished jobs can still be viewed */
+function restoreJobs() {
+  for (const rec of jobStore.loadJobs().values()) {
+    jobs.set(rec.id, {
+      ...rec,
+      logDir: rec.logFilePath ? path.dirname(rec.logFilePath) : null,
+      buffer: [],
+      seq: 0,
+      logBytes: null,
+      sockets: new Set(),
+      restored: true,
+    });
+  }
+}
+
+/**
+ * Parse an imapsync batch file (classic file.txt format):
+ *   host1;user1;password1;host2;user2;password2
+ * Empty lines and lines starting with "#" are skipped.
+ * noPassword: { 1: true } when a side authenticates with a service account (password column empty).
+ */
+function parseBatchFile(text, noPassword = {}) {
+  const entries = [];
+  const lines = String(text || "").split(/\r?\n/);
+  lines.forEach((raw, idx) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const [host1 = "", user1 = "", pass1 = "", host2 = "", user2 = "", pass2 = ""] =
+      line.split(";").map((f) => f.trim());
+    const row = { line: idx + 1, host1, user1, host2, user2, jobId: null, status: "queued", error: null };
+    if (!host1 || !user1 || !(pass1 || noPassword[1]) || !host2 || !user2 || !(pass2 || noPassword[2])) {
+      row.status = "invalid";
+      row.error = "Expected host1;user1;pass1;host2;user2;pass2";
+    }
+    entries.push({ row, credentials: { host1, user1, pass1, host2, user2, pass2 } });
+  });
+  return entries;
+}
+
 // Функция создания директории для логов
 function createLogDirectory(host1, user1, host2, user2) {
     const sanitize = (str) => str.replace(/[^a-zA-Z0-9._-]/g, '_');
     const dirName = `${sanitize(host1)}_${sanitize(user1)}_${sanitize(host2)}_${sanitize(user2)}`;
-    const logDir = path.join('/tmp/logs', dirName);
+    const logDir = path.join(LOG_ROOT, dirName);
     
     if (!fs.existsSync(logDir)) {
         fs.mkdirSync(logDir, { recursive: true });
@@ -73,77 +378,171 @@ function broadcast(job, entry) {
   }
 }
 
-/** Overall progress snapshot */
-function sendProgress(job) {
+/** Sequenced job event: gets the next seq, is kept in the replay ring, then fanned out */
+function emit(job, evt) {
+  job.seq += 1;
+  const payload = JSON.stringify({ ...evt, seq: job.seq });
+  job.buffer.push({ seq: job.seq, payload, logOffset: job.logBytes });
+
+  // Trim in steps so we do not shift the array on every line
+  if (job.buffer.length > REPLAY_BUFFER_SIZE * 1.1) {
+    job.buffer.splice(0, job.buffer.length - REPLAY_BUFFER_SIZE);
+  }
+
+  broadcast(job, payload);
+  return job.seq;
+}
+
+/** Append to the job log file, keeping track of its size for replay */
+function writeLogFile(job, text) {
+  if (!job.logStream) return;
+  job.logStream.write(text);
+  job.logBytes += Buffer.byteLength(text);
+}
+
+/** Log line: redacted, sent to WS clients and written to the log file (as fileText, if given) */
+function jobLog(job, line, fileText = line) {
+  const redact = job.redact || String;
+  emit(job, { type: "log", line: redact(line) });
+  writeLogFile(job, redact(fileText));
+}
+
+/**
+ * Host, user and a password or access token for both accounts?
+ * acceptAuth: an auth1/auth2 reference whose token is fetched later is enough (queued jobs).
+ */
+function missingCredentials(payload, acceptAuth = false) {
+  const p = payload || {};
+  return [1, 2].some((n) =>
+    !p[`host${n}`] || !p[`user${n}`] || !(p[`pass${n}`] || p[`token${n}`] || (acceptAuth && p[`auth${n}`]))
+  );
+}
+
+function progressEvent(job) {
   const p = job.progress || {};
   const evt = { type: "progress" };
   if (typeof p.copied === "number") evt.copied = p.copied;
   if (typeof p.total === "number") evt.total = p.total;
   if (typeof p.percentage === "number") evt.percentage = clamp(p.percentage, 0, 100);
-  broadcast(job, evt);
+  return evt;
 }
 
-/** Reset inactivity timeout for sync jobs */
-function resetInactivityTimeout(job) {
-  if (!job.inactivityTimeoutEnabled) return;
-  
-  // Clear existing timeout
-  if (job.inactivityTimer) {
-    clearTimeout(job.inactivityTimer);
+/** Overall progress snapshot */
+function sendProgress(job) {
+  emit(job, progressEvent(job));
+  if (runningSyncs.has(job)) notifyJob(job, "job.progress");
+
+  // Keep the stored progress reasonably fresh for jobs that get interrupted
+  if (job.status === "running" && job.persistedAt && Date.now() - job.persistedAt > 30000) {
+    persistJob(job);
+  }
+
+  if (job.batchId && batches.has(job.batchId)) {
+    scheduleBatchUpdate(batches.get(job.batchId));
   }
-  
-  // Set new timeout
-  const INACTIVITY_TIMEOUT_MS = Number(process.env.INACTIVITY_TIMEOUT_MS || 2 * 60 * 60 * 1000); // 2 hours default
-  
-  job.inactivityTimer = setTimeout(() => {
-    const j = jobs.get(job.id);
-    if (j && j.child && j.status === "running") {
-      const timeoutMinutes = Math.round(INACTIVITY_TIMEOUT_MS / 60000);
-      const warn = `\n[SERVER] Job ${job.id} has been inactive for ${timeoutMinutes} minutes, initiating graceful abort...\n`;
-      j.buffer.push(warn);
-      broadcast(j, warn);
-      if (j.logStream) j.logStream.write(warn);
-      
-      console.log(`Job ${job.id} timed out due to inactivity (${timeoutMinutes} minutes)`);
-      
-      // Используем abort file для graceful shutdown
-      if (j.abortFilePath) {
-        try {
-          fs.writeFileSync(j.abortFilePath, `Inactivity timeout at ${new Date().toISOString()}\nJob ID: ${job.id}\nInactive for: ${timeoutMinutes} minutes\n`);
-          j.cancelled = true;
-          console.log(`Abort file created due to inactivity timeout: ${j.abortFilePath}`);
-        } catch (e) {
-          console.error(`Failed to create abort file on inactivity timeout: ${e.message}`);
-          // Fallback к kill
-          killImapsyncProcess(j, "inactivity timeout");
-        }
-      } else {
-        killImapsyncProcess(j, "inactivity timeout");
-      }
-    }
-  }, INACTIVITY_TIMEOUT_MS);
-  
-  job.lastActivityTime = Date.now();
 }
 
-/** Parser for imapsync output: derive overall progress */
+/** Messages of a folder already on host2 or copied during this run */
+function folderDone(f) {
+  const done = (Number(f.selected) || 0) + (Number(f.duplicates) || 0) + f.copied;
+  return typeof f.total === "number" ? Math.min(done, f.total) : done;
+}
+
+function perSecond(count, since, until = Date.now()) {
+  const seconds = (until - since) / 1000;
+  return since && seconds > 0 ? Math.round((count / seconds) * 100) / 100 : null;
+}
+
+/** Per-folder progress snapshot: current folder, done/total, bytes, rates and ETA */
+function folderProgressEvent(job) {
+  const now = Date.now();
+  const t = job.transfer || { messages: 0, bytes: 0, startedAt: null };
+  const msgsPerSec = perSecond(t.messages, t.startedAt, now);
+  const p = job.progress || {};
+  const left = typeof p.total === "number" && typeof p.copied === "number" ? p.total - p.copied : null;
+
+  const folders = [];
+  for (const [name, f] of job.folders || []) {
+    folders.push({
+      name,
+      destination: f.destination || null,
+      status: f.finishedAt ? "done" : f.startedAt ? "syncing" : "pending",
+      done: folderDone(f),
+      total: typeof f.total === "number" ? f.total : null,
+      copied: f.copied,
+      bytes: f.bytes,
+      msgsPerSec: perSecond(f.copied, f.startedAt, f.finishedAt || now),
+      idleSeconds: f.startedAt && !f.finishedAt ? Math.round((now - (f.lastCopyAt || f.startedAt)) / 1000) : null,
+    });
+  }
+
+  return {
+    type: "folders",
+    current: job.currentFolder || null,
+    folders,
+    messages: t.messages,
+    bytes: t.bytes,
+    msgsPerSec,
+    bytesPerSec: perSecond(t.bytes, t.startedAt, now),
+    etaSeconds: msgsPerSec && left !== null ? Math.round(left / msgsPerSec) : null,
+  };
+}
+
+/**
+ * Folder snapshots are state, not history: they are not sequenced or replayed,
+ * sent at most once per second and once more when the job ends.
+ */
+function scheduleFolderProgress(job) {
+  if (job.folderProgressTimer) return;
+  job.folderProgressTimer = setTimeout(() => {
+    job.folderProgressTimer = null;
+    broadcast(job, folderProgressEvent(job));
+  }, 1000);
+}
+
+function flushFolderProgress(job) {
+  clearTimeout(job.folderProgressTimer);
+  job.folderProgressTimer = null;
+  if (job.folders && job.folders.size) broadcast(job, folderProgressEvent(job));
+}
+
+/** Parser for imapsync output: derive overall and per-folder progress */
 function attachImapSyncParsers(job) {
   job.progress = job.progress || { copied: 0, total: undefined, percentage: undefined };
   job._progressMode = "unknown"; // "unknown" | "per-folder" | "global"
 
-  // Per-folder fallback state
-  job.folders = job.folders || new Map(); // name -> { total, selected, duplicates }
+  // Per-folder state (also the fallback for overall progress)
+  job.folders = job.folders || new Map(); // name -> { total, selected, duplicates, copied, bytes, ... }
+  job.transfer = job.transfer || { messages: 0, bytes: 0, startedAt: null };
   function ensureFolder(name) {
-    if (!job.folders.has(name)) job.folders.set(name, { total: undefined, selected: 0, duplicates: 0 });
+    if (!job.folders.has(name)) {
+      job.folders.set(name, {
+        total: undefined, selected: 0, duplicates: 0,
+        copied: 0, bytes: 0, destination: null,
+        startedAt: null, finishedAt: null, lastCopyAt: null,
+      });
+    }
     return job.folders.get(name);
   }
+  function enterFolder(name) {
+    if (job.currentFolder === name) return ensureFolder(name);
+    const now = Date.now();
+    if (job.currentFolder && job.folders.has(job.currentFolder)) {
+      job.folders.get(job.currentFolder).finishedAt = now;
+    }
+    job.currentFolder = name;
+    const f = ensureFolder(name);
+    f.startedAt = f.startedAt || now;
+    f.finishedAt = null;
+    scheduleFolderProgress(job);
+    return f;
+  }
   function recalcFromFolders() {
     let total = 0, done = 0, haveTotals = true;
     for (const f of job.folders.values()) {
       if (typeof f.total === "number") {
         total += f.total;
-        const fd = Math.min((Number(f.selected) || 0) + (Number(f.duplicates) || 0), f.total);
-        done += fd;
+        done += folderDone(f);
       } else {
         haveTotals = false;
       }
@@ -162,10 +561,34 @@ function attachImapSyncParsers(job) {
   const reMsgsDone = /(\d+)\s*\/\s*(\d+)\s+msgs\s+done/i;         // "X/Y msgs done"
   const reFolderTotal = /^Host1:\s+folder\s+\[(.+?)\]\s+has\s+(\d+)\s+messages\s+in\s+total/i;
   const reFolderSelected = /^Host2:\s+folder\s+\[(.+?)\]\s+selected\s+(\d+)\s+messages,\s+duplicates\s+(\d+)/i;
+  const reFolderStart = /^Folder\s+\d+\/\d+\s+\[(.*?)\]\s+->\s+\[(.*)\]/i;   // "Folder 1/7 [INBOX] -> [INBOX]"
+  const reCopied = /^msg\s+(.+)\/\d+\s+\{(\d+)\}\s+copied\s+to/i;             // "msg INBOX/12 {3456} copied to INBOX/34 ..."
 
   job.onLine = (line) => {
+    // 0) Per-folder: folder switch and copied messages (copy lines also carry "msgs left")
+    let m = line.match(reFolderStart);
+    if (m) {
+      enterFolder(m[1]).destination = m[2];
+      return;
+    }
+
+    m = line.match(reCopied);
+    if (m) {
+      const f = enterFolder(m[1]);
+      const bytes = Number(m[2]) || 0;
+      f.copied += 1;
+      f.bytes += bytes;
+      f.lastCopyAt = Date.now();
+      job.transfer.messages += 1;
+      job.transfer.bytes += bytes;
+      job.transfer.startedAt = job.transfer.startedAt || f.lastCopyAt;
+      messagesCopiedTotal.inc();
+      bytesCopiedTotal.inc({}, bytes);
+      scheduleFolderProgress(job);
+    }
+
     // 1) Global: X/Y msgs left
-    let m = line.match(reMsgsLeft);
+    m = line.match(reMsgsLeft);
     if (m) {
       const left = Number(m[1]);
       const total = Number(m[2]);
@@ -195,86 +618,103 @@ function attachImapSyncParsers(job) {
       return;
     }
 
-    // 3) Fallback per-folder — only when global not active
-    if (job._progressMode !== "global") {
-      let t = line.match(reFolderTotal);
-      if (t) {
-        const name = t[1];
-        const total = Number(t[2]);
-        const f = ensureFolder(name);
-        if (Number.isFinite(total)) {
-          f.total = total;
-          recalcFromFolders();
-        }
-        return;
+    // 3) Folder counts; they drive the overall progress only when global is not active
+    let t = line.match(reFolderTotal);
+    if (t) {
+      const name = t[1];
+      const total = Number(t[2]);
+      const f = ensureFolder(name);
+      if (Number.isFinite(total)) {
+        f.total = total;
+        if (job._progressMode !== "global") recalcFromFolders();
+        scheduleFolderProgress(job);
       }
+      return;
+    }
 
-      let s = line.match(reFolderSelected);
-      if (s) {
-        const name = s[1];
-        const selected = Number(s[2]);
-        const duplicates = Number(s[3]);
-        const f = ensureFolder(name);
-        if (Number.isFinite(selected)) f.selected = selected;
-        if (Number.isFinite(duplicates)) f.duplicates = duplicates;
-        recalcFromFolders();
-        return;
-      }
+    let s = line.match(reFolderSelected);
+    if (s) {
+      const name = s[1];
+      const selected = Number(s[2]);
+      const duplicates = Number(s[3]);
+      const f = ensureFolder(name);
+      if (Number.isFinite(selected)) f.selected = selected;
+      if (Number.isFinite(duplicates)) f.duplicates = duplicates;
+      if (job._progressMode !== "global") recalcFromFolders();
+      scheduleFolderProgress(job);
+      return;
     }
   };
 }
 
-/** Kill imapsync process gracefully */
+/** Kill imapsync process gracefully (SIGTERM, then SIGKILL after 5 seconds; see lib/runner.js) */
 function killImapsyncProcess(job, reason = "timeout") {
-  if (!job.child || job.status !== "running") {
+  if (!job.run || (job.status !== "running" && job.status !== "verifying")) {
     return;
   }
-
-  const msg = `\n[SERVER] Terminating imapsync process (reason: ${reason})...\n`;
-  job.buffer.push(msg);
-  broadcast(job, msg);
-  if (job.logStream) {
-    job.logStream.write(msg);
+  if (job.run.kill(reason)) {
+    console.log(`Sent SIGTERM to job ${job.id} (${reason})`);
   }
+}
 
-  try {
-    job.child.kill("SIGTERM");
-    console.log(`Sent SIGTERM to job ${job.id} (${reason})`);
-    
-    // Если через 5 секунд не завершился - SIGKILL
-    setTimeout(() => {
-      if (job.status === "running" && job.child) {
-        try {
-          job.child.kill("SIGKILL");
-          const killMsg = `[SERVER] Process did not terminate, sent SIGKILL\n`;
-          if (job.logStream) {
-            job.logStream.write(killMsg);
-          }
-          console.log(`Sent SIGKILL to job ${job.id} (${reason})`);
-        } catch (_) {}
-      }
-    }, 5000);
-  } catch (err) {
-    const errMsg = `[SERVER] Failed to kill process: ${err.message}\n`;
-    job.buffer.push(errMsg);
-    broadcast(job, errMsg);
-    if (job.logStream) {
-      job.logStream.write(errMsg);
+// imapsync_spawn_failures_total labels by runner mode
+const SPAWN_FAILURE_MODES = { justlogin: "check", foldersizes: "verify", checkmessageexists: "verify" };
+
+function countSpawnFailure(run) {
+  spawnFailuresTotal.inc({ mode: SPAWN_FAILURE_MODES[run.mode] || run.mode });
+}
+
+/**
+ * Job side of an imapsync run (lib/runner.js): output lines go to the WS clients and the log
+ * file (stderr lines as "[ERROR] ..."), timeouts are logged, and a keepalive runs until the exit.
+ */
+function attachRun(job, run) {
+  job.run = run;
+  job.redact = run.redact;
+
+  run.on("line", (line, stream) => {
+    emit(job, { type: "log", line });
+    writeLogFile(job, stream === "stderr" ? `[ERROR] ${line}` : line);
+  });
+
+  run.on("timeout", ({ kind, ms }) => {
+    if (kind === "inactivity") {
+      inactivityTimeoutsTotal.inc();
+      jobLog(job, `\n[SERVER] Job ${job.id} has been inactive for ${Math.round(ms / 60000)} minutes, initiating graceful abort...\n`);
+    } else {
+      jobLog(job, `\n[SERVER] ${run.label} timeout (${Math.round(ms / 1000)} seconds) - terminating process...\n`);
     }
-  }
+    console.log(`Job ${job.id}: ${run.label.toLowerCase()} ${kind} timeout`);
+  });
+
+  // Periodic keepalive to reduce idle WS timeouts
+  const keepalive = setInterval(() => {
+    broadcast(job, { type: "keepalive", ts: Date.now() });
+  }, 20000);
+
+  run.on("exit", (result) => {
+    clearInterval(keepalive);
+    if (result.spawnError) countSpawnFailure(run);
+  });
+  return run;
 }
 
 /** Start imapsync (full sync) with abort file monitoring and inactivity timeout */
 function startImapSync(job, payload) {
-  const { host1, user1, pass1, host2, user2, pass2, debug, nosslcheck } = payload || {};
-  if (!host1 || !user1 || !pass1 || !host2 || !user2 || !pass2) {
+  const { host1, user1, host2, user2 } = payload || {};
+  if (missingCredentials(payload)) {
     throw new Error("Missing required credentials");
   }
 
-  // Создаём директорию для логов
+  const options = validateOptions(payload.options);
+  job.options = options;
+  const { limits, onChange } = throttle.effectiveLimits(host1, options);
+  job.limits = limits;
+  job.limitsOnChange = onChange;
+
+  // Создаём директорию для логов (retries append to the log of the first attempt)
   const logDir = createLogDirectory(host1, user1, host2, user2);
-  const logFileName = createLogFileName();
-  const logFilePath = path.join(logDir, logFileName);
+  const logFilePath = job.logFilePath || path.join(logDir, createLogFileName());
   
   // Путь к abort-файлу в той же директории что и логи
   const abortFilePath = path.join(logDir, 'abort.txt');
@@ -282,380 +722,1729 @@ function startImapSync(job, payload) {
   // Создаём поток для записи в файл
   const logStream = fs.createWriteStream(logFilePath, { flags: 'a' });
   job.logStream = logStream;
+  job.logBytes = fs.existsSync(logFilePath) ? fs.statSync(logFilePath).size : 0;
   job.logFilePath = logFilePath;
   job.logDir = logDir;
   job.abortFilePath = abortFilePath;
   
-  // Enable inactivity timeout for sync jobs
-  job.inactivityTimeoutEnabled = true;
-  
   // Записываем заголовок в лог
-  const INACTIVITY_TIMEOUT_MS = Number(process.env.INACTIVITY_TIMEOUT_MS || 2 * 60 * 60 * 1000);
-  const timeoutMinutes = Math.round(INACTIVITY_TIMEOUT_MS / 60000);
+  const timeoutMinutes = Math.round(runner.TIMEOUTS.inactivity / 60000);
   
-  const logHeader = `=== IMAP Sync Started at ${new Date().toISOString()} ===\n` +
+  const attemptInfo = job.retry && job.retry.maxAttempts > 1 ? ` (attempt ${job.attempt}/${job.retry.maxAttempts})` : "";
+  const logHeader = `${job.attempt > 1 ? "\n" : ""}=== IMAP Sync Started at ${new Date().toISOString()}${attemptInfo} ===\n` +
                    `Source: ${user1}@${host1}\n` +
                    `Destination: ${user2}@${host2}\n` +
                    `Log directory: ${logDir}\n` +
                    `Log file: ${logFilePath}\n` +
                    `Abort file: ${abortFilePath}\n` +
                    `Inactivity timeout: ${timeoutMinutes} minutes\n` +
+                   `Options: ${[...connectionArgs(options), ...syncArgs(options), ...limitArgs(limits)].join(" ")}\n` +
                    `${'='.repeat(60)}\n\n`;
-  logStream.write(logHeader);
-
-  const args = [
-    "--host1", host1,
-    "--user1", user1,
-    "--password1", pass1,
-    "--host2", host2,
-    "--user2", user2,
-    "--password2", pass2,
-    "--ssl1",
-    "--ssl2",
-    "--automap",
-    "--noresyncflags",
-    "--allowsizemismatch",
-    "--skipemptyfolders",
-  ];
-
-  if (nosslcheck === "on" || nosslcheck === true) {
-    args.push("--nosslcheck");
-  }
-  if (debug === "on" || debug === true) {
-    args.push("--debug");
-  }
-
-  const child = spawn("imapsync", args, { stdio: ["ignore", "pipe", "pipe"] });
-  job.child = child;
-  job.status = "running";
+  writeLogFile(job, logHeader);
 
   attachImapSyncParsers(job);
-  
-  // Start inactivity timeout
-  resetInactivityTimeout(job);
+  const summaryParser = createSummaryParser();
+  const run = attachRun(job, runner.startRun({
+    mode: "sync",
+    payload,
+    options,
+    limits,
+    parsers: [{ onLine: job.onLine }, summaryParser],
+    cancelled: () => job.cancelled === true,
+  }));
+  job.status = "running";
+  job.startedAt = Date.now();
 
   // Мониторинг abort-файла каждые 2 секунды
   job.abortCheckInterval = setInterval(() => {
     if (fs.existsSync(abortFilePath)) {
       const msg = `\n[SERVER] Abort file detected: ${abortFilePath}\n[SERVER] Sending SIGTERM for graceful shutdown...\n\n`;
-      job.buffer.push(msg);
-      broadcast(job, msg);
-      if (job.logStream) {
-        job.logStream.write(msg);
-      }
+      jobLog(job, msg);
       
       clearInterval(job.abortCheckInterval);
       job.abortCheckInterval = null;
       
-      // Clear inactivity timeout
-      if (job.inactivityTimer) {
-        clearTimeout(job.inactivityTimer);
-        job.inactivityTimer = null;
-      }
-      
       killImapsyncProcess(job, "user cancellation");
     }
-  }, 2000);
+  }, 2000);
+
+  run.on("exit", (result) => {
+    const { code, signal } = result;
+    if (job.abortCheckInterval) {
+      clearInterval(job.abortCheckInterval);
+      job.abortCheckInterval = null;
+    }
+
+    const duration = Date.now() - (job.startedAt || job.createdAt);
+    const durationMin = Math.round(duration / 60000);
+    
+    const wasCancelled = job.cancelled === true;
+    job.pausedAt = null;
+    // Stopped by the server to run again with new rate limits: not a finished attempt
+    const limitChange = wasCancelled ? null : job.limitChange;
+    job.limitChange = null;
+    job.finishedAt = Date.now();
+    job.exitCode = code === null ? null : Number(code);
+    job.signal = signal;
+    job.timedOut = result.timedOut;
+    job.spawnError = result.spawnError;
+    job.summary = summaryParser.summary();
+    job.error = result.error;
+    if (!limitChange) {
+      job.attempts.push({
+        attempt: job.attempt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        exitCode: job.exitCode,
+        error: job.error,
+      });
+    }
+    const retryDelay = !limitChange && !wasCancelled && shouldRetry(job.retry, job.error, job.attempt)
+      ? retryDelayMs(job.retry, job.attempt)
+      : null;
+
+    const footer = `\n${'='.repeat(60)}\n` +
+                  `=== Sync ${wasCancelled ? 'CANCELLED' : limitChange ? 'STOPPED' : 'Completed'} at ${new Date().toISOString()} ===\n` +
+                  `Exit code: ${code}\n` +
+                  `Signal: ${signal || 'none'}\n` +
+                  `Duration: ${durationMin} minutes\n` +
+                  (job.error && !limitChange ? `Error: ${job.error.title}\n` : '') +
+                  (limitChange ? `Rate limits changed: ${limitChange.mode === 'requeue' ? 'back in the queue' : 'starting again'}\n` : '') +
+                  (retryDelay !== null ? `Retry: attempt ${job.attempt + 1}/${job.retry.maxAttempts} in ${Math.round(retryDelay / 1000)} seconds\n` : '') +
+                  `${'='.repeat(60)}\n`;
+    
+    if (job.logStream) {
+      writeLogFile(job, footer);
+      job.logStream.end();
+    }
+    
+    // Удаляем abort-файл после завершения (если он был создан)
+    try {
+      if (fs.existsSync(job.abortFilePath)) {
+        fs.unlinkSync(job.abortFilePath);
+        console.log(`Removed abort file: ${job.abortFilePath}`);
+      }
+    } catch (e) {
+      console.warn(`Failed to remove abort file: ${e.message}`);
+    }
+    
+    console.log(`imapsync process exited with code ${code}`);
+    console.log(`Log saved to: ${logFilePath}`);
+
+    if (job.currentFolder && job.folders.has(job.currentFolder)) {
+      job.folders.get(job.currentFolder).finishedAt = job.finishedAt;
+    }
+    job.currentFolder = null;
+    flushFolderProgress(job);
+
+    if (limitChange) {
+      requeueWithNewLimits(job, payload, limitChange.mode);
+      if (runningSyncs.delete(job)) pumpQueue();
+      return;
+    }
+
+    if (retryDelay !== null) {
+      scheduleRetry(job, payload, retryDelay);
+      if (runningSyncs.delete(job)) pumpQueue();
+      return;
+    }
+
+    if (job.verify && job.exitCode === 0 && !wasCancelled) {
+      startVerification(job, payload);
+      return;
+    }
+    finishSync(job);
+  });
+}
+
+
+/** Last step of a sync job (after its verification, if any): done event, notifications, free the slot */
+function finishSync(job) {
+  job.status = "finished";
+  persistJob(job);
+
+  job.doneSeq = emit(job, { 
+    type: "done", 
+    code: Number(job.exitCode), 
+    signal: job.signal || null,
+    cancelled: job.cancelled === true,
+    attempt: job.attempt,
+    summary: job.summary,
+    error: job.error,
+    verification: job.verification || null,
+  });
+  notifyJobDone(job);
+
+  // Close all sockets after done
+  for (const s of job.sockets) {
+    try {
+      s.close(1000, "done");
+    } catch (_) {}
+  }
+
+  if (job.batchId) onBatchJobDone(job, Number(job.exitCode));
+
+  // Free the queue slot
+  if (runningSyncs.delete(job)) pumpQueue();
+}
+
+/**
+ * Verify stage of a successful sync (lib/verify.js): imapsync --justfoldersizes, then the
+ * optional --dry --checkmessageexists pass, both appended to the job log. The job keeps its
+ * queue slot; the report is stored as job.verification and the job then finishes.
+ * OAuth2 jobs fetch fresh access tokens first, as the sync may have outlived its tokens.
+ */
+function startVerification(job, payload) {
+  const { checkMessageExists } = job.verify;
+  const modes = checkMessageExists ? ["foldersizes", "checkmessageexists"] : ["foldersizes"];
+  const parser = createVerifyParser();
+  const results = [];
+  let verifyPayload = payload;
+
+  job.status = "verifying";
+  job.logStream = fs.createWriteStream(job.logFilePath, { flags: "a" });
+  persistJob(job);
+  if (job.batchId) setBatchRowStatus(job, "verifying");
+  emit(job, { type: "verifying", checkMessageExists });
+  jobLog(job, `\n=== Verification started at ${new Date().toISOString()} (${modes.join(", ")}) ===\n`);
+
+  const done = () => {
+    job.run = null;
+    job.verification = parser.report({
+      jobId: job.id,
+      checkMessageExists,
+      cancelled: job.verifyCancelled === true,
+      runs: results,
+    });
+
+    const v = job.verification;
+    const failed = v.folders.filter((f) => !f.passed);
+    jobLog(job, `=== Verification ${v.passed ? "PASSED" : "FAILED"}: ${v.totals.folders} folder(s), ` +
+      `${v.totals.sourceMessages} message(s) on source, ${v.totals.destinationMessages} on destination ===\n` +
+      (v.error ? `Error: ${v.error}\n` : "") +
+      failed.map((f) => `  [${f.source}] -> [${f.destination}]: ${f.status} ` +
+        `(${f.sourceMessages} -> ${f.destinationMessages === null ? "?" : f.destinationMessages} messages)\n`).join(""));
+    job.logStream.end();
+    emit(job, { type: "verification", report: v });
+    finishSync(job);
+  };
+
+  const next = () => {
+    const mode = modes[results.length];
+    if (!mode || job.verifyCancelled) return done();
+    let run;
+    try {
+      run = runner.startRun({
+        mode,
+        payload: verifyPayload,
+        options: job.options || {},
+        parsers: [parser],
+        cancelled: () => job.verifyCancelled === true,
+      });
+    } catch (err) {
+      results.push({ mode, exitCode: null, error: err.message });
+      return done();
+    }
+    attachRun(job, run).on("exit", (result) => {
+      results.push({ mode, exitCode: result.exitCode, error: result.error ? result.error.title : null });
+      if (result.exitCode !== 0) return done();
+      next();
+    });
+  };
+
+  if (!oauth.usesOAuth(payload)) return next();
+  // The tokens of the sync may have expired by now: fetch or refresh them like startWithAccessTokens
+  oauth.resolveAccessTokens(payload).then(
+    (resolved) => {
+      verifyPayload = resolved;
+      next();
+    },
+    (err) => {
+      jobLog(job, `[server] ${err.message}\n`);
+      results.push({ mode: modes[0], exitCode: null, error: err.message });
+      done();
+    }
+  );
+}
+
+/** Start imapsync --justlogin (check mode) with 10s timeout */
+function startImapJustLogin(job, payload) {
+  if (missingCredentials(payload)) {
+    throw new Error("Missing required credentials");
+  }
+
+  const options = validateOptions(payload.options);
+  attachImapSyncParsers(job);
+  const run = attachRun(job, runner.startRun({
+    mode: "justlogin",
+    payload,
+    options,
+    parsers: [{ onLine: job.onLine }],
+    cancelled: () => job.cancelled === true,
+  }));
+  job.status = "running";
+
+  run.on("exit", (result) => {
+    job.status = "finished";
+    job.finishedAt = Date.now();
+    job.exitCode = result.exitCode;
+    job.timedOut = result.timedOut;
+    job.error = result.error;
+    
+    job.doneSeq = emit(job, { 
+      type: "done", 
+      code: result.exitCode, 
+      signal: result.signal,
+      timedOut: result.timedOut,
+      error: job.error
+    });
+
+    // Close WS
+    for (const s of job.sockets) {
+      try {
+        s.close(1000, "done");
+      } catch (_) {}
+    }
+  });
+}
+
+/** Start imapsync --dry --justfolders and build a per-folder migration plan (job.plan) */
+function startImapPlan(job, payload) {
+  const { host1, user1, host2, user2 } = payload || {};
+  if (missingCredentials(payload)) {
+    throw new Error("Missing required credentials");
+  }
+
+  const options = validateOptions(payload.options);
+  job.options = options;
+  const parser = createPlanParser();
+  const planMeta = {
+    source: { host: host1, user: user1 },
+    destination: { host: host2, user: user2 },
+    options,
+  };
+
+  const run = attachRun(job, runner.startRun({
+    mode: "plan",
+    payload,
+    options,
+    parsers: [parser],
+    cancelled: () => job.cancelled === true,
+  }));
+  job.status = "running";
+
+  run.on("exit", (result) => {
+    job.status = "finished";
+    job.finishedAt = Date.now();
+    job.exitCode = result.exitCode;
+    job.timedOut = result.timedOut;
+    job.error = result.error;
+    job.plan = parser.report({ ...planMeta, jobId: job.id, complete: result.exitCode === 0 });
+
+    emit(job, { type: "plan", report: job.plan });
+    job.doneSeq = emit(job, {
+      type: "done",
+      code: result.exitCode,
+      signal: result.signal,
+      timedOut: result.timedOut,
+      error: job.error,
+    });
+
+    for (const s of job.sockets) {
+      try {
+        s.close(1000, "done");
+      } catch (_) {}
+    }
+  });
+}
+
+/** Queue: key used for the per-source-host limit */
+function queueHostKey(host) {
+  return String(host || "").trim().toLowerCase();
+}
+
+/** Validate and put a sync job in the queue; it starts as soon as slots allow */
+function enqueueSync(job, payload) {
+  const { host1, user1, host2, user2 } = payload || {};
+  if (missingCredentials(payload, true)) {
+    throw new Error("Missing required credentials");
+  }
+  job.options = validateOptions(payload.options);
+  job.retry = validateRetryPolicy(payload.retry);
+  job.verify = validateVerify(payload.verify);
+
+  job.status = "queued";
+  job.source = { host: host1, user: user1 };
+  job.destination = { host: host2, user: user2 };
+  job.hostKey = queueHostKey(host1);
+  job.queuePosition = null;
+  syncQueue.push({ job, payload });
+  persistJob(job);
+  notifyJob(job, "job.queued");
+  console.log(`Job ${job.id} queued (${syncQueue.length} waiting, ${runningSyncs.size} running)`);
+  pumpQueue();
+}
+
+/** Start queued jobs while slots are free, then tell waiting jobs their position */
+function pumpQueue() {
+  const perHost = new Map();
+  for (const j of runningSyncs) {
+    perHost.set(j.hostKey, (perHost.get(j.hostKey) || 0) + 1);
+  }
+
+  for (let i = 0; i < syncQueue.length && runningSyncs.size < MAX_CONCURRENT_SYNCS; ) {
+    const { job, payload } = syncQueue[i];
+    const hostCount = perHost.get(job.hostKey) || 0;
+    if (hostCount >= MAX_SYNCS_PER_HOST) {
+      i++;
+      continue;
+    }
+
+    syncQueue.splice(i, 1);
+    if (oauth.usesOAuth(payload)) {
+      // The slot is taken while the access tokens are fetched
+      runningSyncs.add(job);
+      perHost.set(job.hostKey, hostCount + 1);
+      startWithAccessTokens(job, payload);
+    } else if (launchSync(job, payload)) {
+      perHost.set(job.hostKey, hostCount + 1);
+    }
+  }
+
+  syncQueue.forEach(({ job }, idx) => {
+    if (job.queuePosition !== idx + 1) {
+      job.queuePosition = idx + 1;
+      emit(job, { type: "queued", position: job.queuePosition, running: runningSyncs.size });
+    }
+  });
+}
+
+/** Start imapsync for a job taken from the queue; returns false when it could not be started */
+function launchSync(job, payload) {
+  try {
+    startImapSync(job, payload);
+  } catch (err) {
+    failStart(job, `[server] Failed to start imapsync: ${err.message}\n`, { code: 1, spawnError: err.message });
+    return false;
+  }
+
+  runningSyncs.add(job);
+  persistJob(job);
+  emit(job, {
+    type: "started",
+    logFile: job.logFilePath,
+    logDir: job.logDir,
+    attempt: job.attempt,
+    maxAttempts: job.retry.maxAttempts,
+    limits: job.limits,
+  });
+  notifyJob(job, "job.started");
+  if (job.batchId) onBatchJobStarted(job);
+  return true;
+}
+
+/** A queued job that never got to run imapsync */
+function failStart(job, msg, outcome) {
+  jobLog(job, msg);
+  job.status = "finished";
+  job.finishedAt = Date.now();
+  job.exitCode = 1;
+  job.error = classifyOutput("", outcome);
+  persistJob(job);
+  job.doneSeq = emit(job, { type: "done", code: 1, signal: null, cancelled: false, error: job.error });
+  notifyJobDone(job);
+  if (job.batchId) onBatchJobDone(job, 1);
+}
+
+/** Fetch or refresh the OAuth2 access tokens of a job, then start it */
+function startWithAccessTokens(job, payload) {
+  job.acquiringTokens = true;
+  oauth.resolveAccessTokens(payload).then(
+    (resolved) => {
+      job.acquiringTokens = false;
+      runningSyncs.delete(job);
+      if (!job.cancelled) launchSync(job, resolved);
+      pumpQueue();
+    },
+    (err) => {
+      job.acquiringTokens = false;
+      runningSyncs.delete(job);
+      if (!job.cancelled) failStart(job, `[server] ${err.message}\n`, { code: 1, tokenError: err.message });
+      pumpQueue();
+    }
+  );
+}
+
+/** Failed attempt that the retry policy covers: wait, then put the same pair back in the queue */
+function scheduleRetry(job, payload, delayMs) {
+  job.status = "retrying";
+  job.run = null;
+  job.nextAttemptAt = Date.now() + delayMs;
+  persistJob(job);
+  console.log(`Job ${job.id} attempt ${job.attempt} failed (${job.error.category}), retrying in ${Math.round(delayMs / 1000)}s`);
+
+  emit(job, {
+    type: "retry",
+    attempt: job.attempt,
+    nextAttempt: job.attempt + 1,
+    maxAttempts: job.retry.maxAttempts,
+    delayMs,
+    retryAt: job.nextAttemptAt,
+    error: job.error,
+  });
+
+  if (job.batchId && batches.has(job.batchId)) {
+    const batch = batches.get(job.batchId);
+    const row = batch.rows.find((r) => r.jobId === job.id);
+    if (row) row.status = "retrying";
+    scheduleBatchUpdate(batch);
+  }
+
+  job.retryTimer = setTimeout(() => {
+    job.retryTimer = null;
+    job.nextAttemptAt = null;
+    job.attempt += 1;
+    resetAttemptState(job);
+
+    job.status = "queued";
+    job.queuePosition = null;
+    syncQueue.push({ job, payload });
+    persistJob(job);
+    notifyJob(job, "job.queued");
+    pumpQueue();
+  }, delayMs);
+}
+
+/** Fresh per-run state before a job goes back to the queue; imapsync skips what earlier runs copied */
+function resetAttemptState(job) {
+  job.progress = { copied: 0, total: undefined, percentage: undefined };
+  job.folders = new Map();
+  job.transfer = null;
+  job.timedOut = false;
+  job.spawnError = null;
+  job.error = null;
+  job.summary = null;
+  job.exitCode = null;
+  job.signal = null;
+  job.finishedAt = null;
+}
+
+/** Running job stopped for new rate limits: back to the head ("restart") or the end ("requeue") of the queue */
+function requeueWithNewLimits(job, payload, mode) {
+  job.run = null;
+  resetAttemptState(job);
+  job.status = "queued";
+  job.queuePosition = null;
+  if (mode === "requeue") syncQueue.push({ job, payload });
+  else syncQueue.unshift({ job, payload });
+  persistJob(job);
+  notifyJob(job, "job.queued");
+  console.log(`Job ${job.id} stopped for new rate limits (${mode})`);
+  if (job.batchId) setBatchRowStatus(job, "queued");
+}
+
+/**
+ * Suspend a running sync with SIGSTOP: imapsync keeps its connections, its progress and its
+ * log; the inactivity timer is stopped so the pause is not taken for a hang.
+ * The job keeps its queue slot. Throws when the process could not be stopped.
+ */
+function pauseJob(job, by) {
+  if (!job.run.pause()) throw new Error("Failed to stop the imapsync process");
+  job.status = "paused";
+  job.pausedAt = Date.now();
+  persistJob(job);
+  jobLog(job, `\n[SERVER] Paused by ${by} at ${new Date(job.pausedAt).toISOString()}\n`);
+  emit(job, { type: "paused", pausedAt: job.pausedAt });
+  notifyJob(job, "job.paused");
+  if (job.batchId) setBatchRowStatus(job, "paused");
+}
+
+/** Continue a paused sync with SIGCONT and restart its inactivity timer */
+function resumeJob(job, by) {
+  if (!job.run.resume()) throw new Error("Failed to continue the imapsync process");
+  const pausedFor = Date.now() - job.pausedAt;
+  job.pausedMs = (job.pausedMs || 0) + pausedFor;
+  job.pausedAt = null;
+  job.status = "running";
+  persistJob(job);
+  jobLog(job, `[SERVER] Resumed by ${by} after ${Math.round(pausedFor / 1000)} seconds\n\n`);
+  emit(job, { type: "resumed", pausedMs: job.pausedMs });
+  notifyJob(job, "job.resumed");
+  if (job.batchId) setBatchRowStatus(job, "running");
+}
+
+const THROTTLE_TICK_MS = 60000;
+let throttleTimer = null;
+
+/**
+ * Apply the rate limit policy to running jobs: a job whose effective limits changed
+ * (time-of-day window, edited rule) is stopped and runs again with the new ones.
+ */
+function applyRateLimits(now = new Date()) {
+  for (const job of runningSyncs) {
+    if (job.status !== "running" || !job.run || job.limitChange || job.cancelled) continue;
+    const { limits, onChange } = throttle.effectiveLimits(job.source.host, job.options, now);
+    if (throttle.sameLimits(limits, job.limits)) continue;
+
+    const mode = onChange || job.limitsOnChange || "none";
+    if (mode === "none") continue;
+    const describe = (l) => limitArgs(l).join(" ") || "none";
+    jobLog(job, `\n[SERVER] Rate limits changed from ${describe(job.limits)} to ${describe(limits)}, ` +
+      `${mode === "requeue" ? "re-queuing" : "restarting"} imapsync\n`);
+    job.limitChange = { mode, limits };
+    emit(job, { type: "limits", mode, from: job.limits, to: limits });
+    killImapsyncProcess(job, "rate limits changed");
+  }
+}
+
+/** Remove a job from the queue (or from its wait before a retry) before it started */
+function cancelQueuedJob(job) {
+  const waitingForRetry = job.status === "retrying";
+  if (waitingForRetry) {
+    clearTimeout(job.retryTimer);
+    job.retryTimer = null;
+    job.nextAttemptAt = null;
+  } else if (!job.acquiringTokens) {
+    const idx = syncQueue.findIndex((e) => e.job === job);
+    if (idx < 0) return false;
+    syncQueue.splice(idx, 1);
+  }
+
+  job.cancelled = true;
+  job.status = "finished";
+  job.finishedAt = Date.now();
+  job.queuePosition = null;
+  job.error = classifyOutput("", { cancelled: true });
+  persistJob(job);
+
+  const msg = waitingForRetry
+    ? `[CLIENT] Job ${job.id} cancelled before attempt ${job.attempt + 1}\n`
+    : `[CLIENT] Job ${job.id} removed from the queue before it started\n`;
+  jobLog(job, msg);
+  job.doneSeq = emit(job, { type: "done", code: null, signal: null, cancelled: true, error: job.error });
+  notifyJobDone(job);
+  for (const s of job.sockets) {
+    try {
+      s.close(1000, "done");
+    } catch (_) {}
+  }
+
+  if (job.batchId) onBatchJobDone(job, null);
+  pumpQueue();
+  return true;
+}
+
+/** Batch: aggregate snapshot of all rows */
+function batchSnapshot(batch) {
+  const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0, invalid: 0 };
+  let copied = 0, total = 0, percentSum = 0, runnable = 0;
+
+  const rows = batch.rows.map((row) => {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+    const job = row.jobId ? jobs.get(row.jobId) : null;
+    const p = (job && job.progress) || {};
+    const out = { ...row };
+    if (typeof p.copied === "number") { out.copied = p.copied; copied += p.copied; }
+    if (typeof p.total === "number") { out.total = p.total; total += p.total; }
+    if (typeof p.percentage === "number") out.percentage = clamp(p.percentage, 0, 100);
+
+    if (row.status !== "invalid") {
+      runnable++;
+      if (row.status === "done" || row.status === "failed" || row.status === "cancelled") percentSum += 100;
+      else percentSum += out.percentage || 0;
+    }
+    return out;
+  });
+
+  return {
+    type: "batch",
+    batchId: batch.id,
+    status: batch.status,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt || null,
+    counts,
+    copied,
+    total,
+    percentage: runnable ? Math.round(percentSum / runnable) : 100,
+    rows,
+  };
+}
+
+function sendBatchUpdate(batch) {
+  if (batch.updateTimer) {
+    clearTimeout(batch.updateTimer);
+    batch.updateTimer = null;
+  }
+  broadcast(batch, batchSnapshot(batch));
+}
+
+/** Throttle batch snapshots: child progress events can be very frequent */
+function scheduleBatchUpdate(batch) {
+  if (batch.updateTimer) return;
+  batch.updateTimer = setTimeout(() => {
+    batch.updateTimer = null;
+    broadcast(batch, batchSnapshot(batch));
+  }, 1000);
+}
+
+/** Mark the batch finished once none of its rows is waiting or running */
+function finalizeBatchIfDone(batch) {
+  const active = batch.rows.some((r) => ["queued", "running", "paused", "verifying", "retrying"].includes(r.status));
+  if (active || batch.status === "finished") {
+    scheduleBatchUpdate(batch);
+    return;
+  }
+
+  batch.status = "finished";
+  batch.finishedAt = Date.now();
+  console.log(`Batch ${batch.id} finished`);
+  sendBatchUpdate(batch);
+  for (const s of batch.sockets) {
+    try {
+      s.close(1000, "done");
+    } catch (_) {}
+  }
+}
+
+function onBatchJobStarted(job) {
+  setBatchRowStatus(job, "running");
+}
+
+/** Status of the batch row of a child job (running, paused, queued, ...) */
+function setBatchRowStatus(job, status) {
+  const batch = batches.get(job.batchId);
+  if (!batch) return;
+  const row = batch.rows.find((r) => r.jobId === job.id);
+  if (row) row.status = status;
+  scheduleBatchUpdate(batch);
+}
+
+/** Called when a batch child job is done (finished or cancelled while queued) */
+function onBatchJobDone(job, code) {
+  const batch = batches.get(job.batchId);
+  if (!batch) return;
+  const row = batch.rows.find((r) => r.jobId === job.id);
+  if (row) {
+    if (job.cancelled) {
+      row.status = "cancelled";
+    } else if (code === 0) {
+      row.status = "done";
+    } else {
+      row.status = "failed";
+      row.error = `imapsync exited with code ${code}`;
+    }
+  }
+  finalizeBatchIfDone(batch);
+}
+
+/** Scheduled syncs */
+const SCHEDULE_TICK_MS = 15000;
+let scheduleTimer = null;
+
+/** Previous job of a schedule that has not finished yet, or null */
+function activeScheduleJob(schedule) {
+  const job = schedule.lastJobId && jobs.get(schedule.lastJobId);
+  return job && ["queued", "running", "paused", "verifying", "retrying"].includes(job.status) ? job : null;
+}
+
+/** Queue a sync job for a schedule; returns it, or null when the run was skipped */
+function runSchedule(schedule, fromCron) {
+  const active = activeScheduleJob(schedule);
+  if (active) {
+    const reason = `previous run ${active.id} is still ${active.status}`;
+    console.log(`Schedule ${schedule.id} (${schedule.name}) skipped: ${reason}`);
+    scheduleStore.recordRun(schedule, { skipped: reason }, fromCron);
+    return null;
+  }
+
+  const job = createJob({
+    owner: schedule.owner,
+    scheduleId: schedule.id,
+    cancelled: false,
+  });
+  enqueueSync(job, scheduleStore.syncPayload(schedule));
+  jobs.set(job.id, job);
+  scheduleStore.recordRun(schedule, { jobId: job.id }, fromCron);
+  console.log(`Schedule ${schedule.id} (${schedule.name}) started job ${job.id}`);
+  return job;
+}
+
+function runDueSchedules() {
+  for (const schedule of scheduleStore.dueSchedules()) {
+    try {
+      runSchedule(schedule, true);
+    } catch (err) {
+      console.warn(`Schedule ${schedule.id} (${schedule.name}) could not start: ${err.message}`);
+      scheduleStore.recordRun(schedule, { skipped: err.message }, true);
+    }
+  }
+}
+
+/** Schedule as shown by the API, with the outcome of its last job */
+function scheduleView(schedule) {
+  const last = schedule.lastJobId && jobs.get(schedule.lastJobId);
+  return {
+    ...scheduleStore.publicSchedule(schedule),
+    lastOutcome: last && last.source ? jobOutcome(last) : null,
+  };
+}
+
+/** Schedule by :id that the user may see, or null (after sending 404) */
+function findSchedule(req, res) {
+  const schedule = scheduleStore.getSchedule(req.params.id);
+  if (!schedule || !auth.canAccess(req.user, schedule)) {
+    res.status(404).json({ error: "Schedule not found" });
+    return null;
+  }
+  return schedule;
+}
+
+/** Retention (lib/retention.js): finished jobs and batches in memory, logs on disk */
+const RETENTION = retention.RETENTION;
+const ACTIVE_STATUSES = ["pending", "queued", "running", "paused", "verifying", "retrying"];
+let retentionTimer = null;
+let sweepRunning = null; // promise of the sweep in progress
+let lastSweep = null;
+
+function closeSockets(target) {
+  for (const ws of target.sockets) {
+    try { ws.close(1000, "done"); } catch (_) {}
+  }
+  target.sockets.clear();
+}
+
+/** Drop the replay state of a finished sync job; it is then served like a job restored from the store */
+function releaseJob(job) {
+  closeSockets(job);
+  job.buffer = [];
+  job.logBytes = null;
+  job.restored = true;
+  delete job.folders;
+  delete job.run;
+  delete job.logStream;
+}
+
+/** Logs that must not be compressed or deleted: those of jobs that are still going to write to them */
+function activeLogPaths() {
+  const paths = new Set();
+  for (const job of jobs.values()) {
+    if (job.logFilePath && ACTIVE_STATUSES.includes(job.status)) paths.add(job.logFilePath);
+  }
+  return paths;
+}
+
+/**
+ * Release or forget finished jobs and batches past their TTL.
+ * Returns the counts; with apply=false nothing is changed (report of what is due).
+ */
+function sweepJobs(now = Date.now(), apply = true) {
+  const result = { releasedJobs: 0, removedJobs: 0, removedBatches: 0 };
+  const remove = (map, id, target) => {
+    if (!apply) return;
+    closeSockets(target);
+    map.delete(id);
+  };
+
+  for (const [id, job] of jobs) {
+    if (job.status !== "finished" && job.status !== "interrupted") continue;
+    const age = now - (job.finishedAt || job.createdAt);
+
+    if (!job.source) {
+      // Credential checks and dry-run plans are never persisted
+      const ttl = job.kind === "plan" ? RETENTION.planJobTtlMs : RETENTION.checkJobTtlMs;
+      if (age > ttl) {
+        remove(jobs, id, job);
+        result.removedJobs += 1;
+      }
+    } else if (RETENTION.jobRetentionMs && age > RETENTION.jobRetentionMs) {
+      remove(jobs, id, job);
+      result.removedJobs += 1;
+      result.storeChanged = true;
+    } else if (!job.restored && age > RETENTION.jobReleaseAfterMs) {
+      if (apply) releaseJob(job);
+      result.releasedJobs += 1;
+    }
+  }
+
+  for (const [id, batch] of batches) {
+    if (batch.status !== "finished" || !RETENTION.jobRetentionMs) continue;
+    if (now - batch.finishedAt > RETENTION.jobRetentionMs) {
+      remove(batches, id, batch);
+      result.removedBatches += 1;
+    }
+  }
+  return result;
+}
+
+/** Rewrite the job store from the sync jobs still in memory (all stored jobs are loaded on boot) */
+function compactJobStore() {
+  const records = new Map();
+  for (const job of jobs.values()) {
+    if (job.source) records.set(job.id, jobRecord(job));
+  }
+  jobStore.compactJobs(records);
+}
+
+/** One retention pass: jobs first, then the log tree; concurrent callers share the running pass */
+function runRetentionSweep() {
+  if (sweepRunning) return sweepRunning;
+  sweepRunning = (async () => {
+    const startedAt = Date.now();
+    const { storeChanged, ...jobResult } = sweepJobs(startedAt);
+    const logResult = await retention.sweepLogs(activeLogPaths(), startedAt);
+
+    // Jobs keep pointing at their log after it was compressed
+    const renamed = new Map(logResult.compressed.map((c) => [c.from, c.to]));
+    let relinked = 0;
+    for (const job of jobs.values()) {
+      if (job.logFilePath && renamed.has(job.logFilePath)) {
+        job.logFilePath = renamed.get(job.logFilePath);
+        relinked += 1;
+      }
+    }
+    if (storeChanged || relinked) {
+      try {
+        compactJobStore();
+      } catch (err) {
+        logResult.errors.push(`job store: ${err.message}`);
+      }
+    }
+
+    lastSweep = {
+      startedAt,
+      finishedAt: Date.now(),
+      ...jobResult,
+      removedLogs: logResult.removed.length,
+      compressedLogs: logResult.compressed.length,
+      removedDirs: logResult.removedDirs,
+      freedBytes: logResult.freedBytes,
+      errors: logResult.errors,
+    };
+    const { releasedJobs, removedJobs, removedBatches } = jobResult;
+    if (releasedJobs || removedJobs || removedBatches || logResult.removed.length || logResult.compressed.length) {
+      console.log(
+        `Retention: released ${releasedJobs} jobs, removed ${removedJobs} jobs and ${removedBatches} batches, ` +
+        `compressed ${logResult.compressed.length} and removed ${logResult.removed.length} logs (${logResult.freedBytes} bytes freed)`
+      );
+    }
+    for (const e of logResult.errors) console.warn(`Retention: ${e}`);
+    return lastSweep;
+  })().finally(() => {
+    sweepRunning = null;
+  });
+  return sweepRunning;
+}
+
+function retentionSweepTick() {
+  runRetentionSweep().catch((err) => console.warn(`Retention sweep failed: ${err.message}`));
+}
+
+/** POST /login - open a session (AUTH_MODE=local) */
+app.post("/login", (req, res) => {
+  if (auth.AUTH_MODE !== "local") {
+    return res.status(400).json({ error: `Login is not used with AUTH_MODE=${auth.AUTH_MODE}` });
+  }
+  const { username, password } = req.body || {};
+  const result = auth.login(username, password);
+  if (!result) {
+    console.warn(`Failed login for "${String(username || "").slice(0, 64)}" from ${req.ip}`);
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+  res.setHeader("Set-Cookie", auth.sessionCookie(result.token, req.secure));
+  res.json({ user: result.user });
+});
+
+/** POST /logout */
+app.post("/logout", (req, res) => {
+  auth.logout(req);
+  res.setHeader("Set-Cookie", auth.clearSessionCookie());
+  res.json({ success: true });
+});
+
+/** GET /metrics - Prometheus metrics for admins (scrapers use METRICS_TOKEN, see above) */
+app.get("/metrics", requireAdmin, (req, res) => {
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
+/** GET /me - current user */
+app.get("/me", (req, res) => {
+  res.json({ user: req.user, authMode: auth.AUTH_MODE, emailNotifications: mailer.isConfigured() });
+});
+
+/** Users (admin, AUTH_MODE=local) */
+app.get("/users", requireAdmin, (req, res) => {
+  res.json({ users: auth.listUsers() });
+});
+
+app.post("/users", requireAdmin, (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    res.json({ user: auth.createUser(username, password, role || "user") });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/users/:username", requireAdmin, (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ error: "You cannot delete yourself" });
+  }
+  if (!auth.deleteUser(req.params.username)) {
+    return res.status(404).json({ error: "User not found" });
+  }
+  res.json({ success: true });
+});
+
+/** Request body with profile1 / profile2 expanded and auth1 / auth2 checked for the user */
+function requestPayload(req) {
+  const payload = profileStore.resolveProfiles(req.body, (profile) => auth.canAccess(req.user, profile));
+  return oauth.validateAuth(payload, req.user);
+}
+
+/** Connection profiles: own profiles, or all of them for admins */
+function findProfile(req, res) {
+  const profile = profileStore.getProfile(req.params.id);
+  if (!profile || !auth.canAccess(req.user, profile)) {
+    res.status(404).json({ error: "Profile not found" });
+    return null;
+  }
+  return profile;
+}
+
+app.get("/profiles", (req, res) => {
+  const list = profileStore
+    .listProfiles()
+    .filter((p) => auth.canAccess(req.user, p))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(profileStore.publicProfile);
+  res.json({ profiles: list });
+});
+
+/** POST /profiles - body: { name, host, port, security: ssl|starttls, nosslcheck, authmech, user, password } */
+app.post("/profiles", (req, res) => {
+  try {
+    const profile = profileStore.createProfile(req.body, req.user.username);
+    res.json(profileStore.publicProfile(profile));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/profiles/:id", (req, res) => {
+  const profile = findProfile(req, res);
+  if (profile) res.json(profileStore.publicProfile(profile));
+});
+
+/** PATCH /profiles/:id - the saved password is kept unless password is sent ("" removes it) */
+app.patch("/profiles/:id", (req, res) => {
+  const profile = findProfile(req, res);
+  if (!profile) return;
+  try {
+    profileStore.updateProfile(profile, req.body);
+    res.json(profileStore.publicProfile(profile));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/profiles/:id", (req, res) => {
+  const profile = findProfile(req, res);
+  if (!profile) return;
+  profileStore.deleteProfile(profile.id);
+  res.json({ success: true });
+});
+
+/** OAuth2 sign-in (lib/oauth.js) */
+function oauthRedirectUri(req) {
+  return process.env.OAUTH_REDIRECT_URL || `${req.protocol}://${req.get("host")}/oauth/callback`;
+}
+
+/** Page shown in the sign-in popup: hands the result to the window that opened it */
+function oauthResultPage(result) {
+  const data = JSON.stringify({ type: "oauth-result", ...result }).replace(/</g, "\\u003c");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>OAuth2 sign-in</title></head>
+<body style="font-family: sans-serif; padding: 30px;">
+<p id="message"></p>
+<script>
+  const result = ${data};
+  document.getElementById("message").textContent = result.error
+    ? "Sign-in failed: " + result.error
+    : "Signed in as " + (result.grant.email || "unknown account") + ". You can close this window.";
+  if (window.opener) {
+    window.opener.postMessage(result, window.location.origin);
+    if (!result.error) window.close();
+  }
+</script>
+</body>
+</html>`;
+}
+
+app.get("/oauth/providers", (req, res) => {
+  res.json({ providers: oauth.listProviders() });
+});
+
+/** GET /oauth/:provider/start?side=1|2 - redirect to the provider's sign-in page (opened in a popup) */
+app.get("/oauth/:provider/start", (req, res) => {
+  const side = req.query.side === "2" ? 2 : 1;
+  try {
+    const target = oauth.authorizationUrl(req.params.provider, {
+      owner: req.user.username,
+      side,
+      redirectUri: oauthRedirectUri(req),
+    });
+    res.redirect(target);
+  } catch (err) {
+    res.status(400).send(oauthResultPage({ side, error: err.message }));
+  }
+});
+
+/** GET /oauth/callback - exchange the code and keep the refresh token as a grant */
+app.get("/oauth/callback", async (req, res) => {
+  if (req.query.error) {
+    const reason = String(req.query.error_description || req.query.error).slice(0, 300);
+    return res.status(400).send(oauthResultPage({ error: reason }));
+  }
+  try {
+    const { grant, side } = await oauth.completeAuthorization({
+      state: req.query.state,
+      code: req.query.code,
+      owner: req.user.username,
+    });
+    console.log(`OAuth2 grant ${grant.id} (${grant.provider}, ${grant.email}) created by ${req.user.username}`);
+    res.send(oauthResultPage({ side, grant: oauth.publicGrant(grant) }));
+  } catch (err) {
+    res.status(400).send(oauthResultPage({ error: err.message }));
+  }
+});
+
+/** GET /oauth/grants - the user's OAuth2 sign-ins (all of them for admins) */
+app.get("/oauth/grants", (req, res) => {
+  const list = oauth
+    .listGrants()
+    .filter((g) => auth.canAccess(req.user, g))
+    .map(oauth.publicGrant);
+  res.json({ grants: list });
+});
+
+app.delete("/oauth/grants/:id", (req, res) => {
+  const grant = oauth.getGrant(req.params.id);
+  if (!grant || !auth.canAccess(req.user, grant)) {
+    return res.status(404).json({ error: "Grant not found" });
+  }
+  oauth.deleteGrant(grant.id);
+  res.json({ success: true });
+});
+
+/** Webhooks (admins): the secret is only returned when it is created or changed */
+function webhookView(webhook, secret) {
+  const view = webhooks.publicWebhook(webhook);
+  return secret ? { ...view, secret } : view;
+}
+
+function findWebhook(req, res) {
+  const webhook = webhooks.getWebhook(req.params.id);
+  if (!webhook) {
+    res.status(404).json({ error: "Webhook not found" });
+    return null;
+  }
+  return webhook;
+}
+
+app.get("/webhooks", requireAdmin, (req, res) => {
+  res.json({ webhooks: webhooks.listWebhooks().map((w) => webhookView(w)), events: webhooks.EVENTS });
+});
+
+app.post("/webhooks", requireAdmin, (req, res) => {
+  try {
+    const { webhook, secret } = webhooks.createWebhook(req.body, req.user.username);
+    console.log(`Webhook ${webhook.id} (${webhook.url}) created by ${req.user.username}`);
+    res.json(webhookView(webhook, secret));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/webhooks/:id", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (webhook) res.json(webhookView(webhook));
+});
+
+app.patch("/webhooks/:id", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  try {
+    const { secret } = webhooks.updateWebhook(webhook, req.body);
+    res.json(webhookView(webhook, secret));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/webhooks/:id", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  webhooks.deleteWebhook(webhook.id);
+  res.json({ success: true });
+});
+
+/** GET /webhooks/:id/deliveries - delivery log, newest first (?limit, at most 500) */
+app.get("/webhooks/:id/deliveries", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  const limit = clamp(Number(req.query.limit) || 100, 1, 500);
+  res.json({ deliveries: webhooks.listDeliveries(webhook.id, limit) });
+});
+
+/** POST /webhooks/:id/test - send a "ping" event to check the endpoint and its signature check */
+app.post("/webhooks/:id/test", requireAdmin, (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  res.json({ delivery: webhooks.deliver(webhook, "ping", null) });
+});
+
+/** GET /admin/retention - settings, what is held in memory and on disk, and what the next sweep would do */
+app.get("/admin/retention", requireAdmin, async (req, res) => {
+  const now = Date.now();
+  const { storeChanged, ...due } = sweepJobs(now, false);
+  const counts = { active: 0, held: 0, released: 0, checks: 0, plans: 0 };
+  for (const job of jobs.values()) {
+    if (!job.source) counts[job.kind === "plan" ? "plans" : "checks"] += 1;
+    else if (ACTIVE_STATUSES.includes(job.status)) counts.active += 1;
+    else counts[job.restored ? "released" : "held"] += 1;
+  }
+  try {
+    res.json({
+      settings: RETENTION,
+      jobs: counts,
+      batches: batches.size,
+      due,
+      logs: { root: LOG_ROOT, ...(await retention.logReport(activeLogPaths(), now)) },
+      running: Boolean(sweepRunning),
+      lastSweep,
+      nextSweepAt: lastSweep ? lastSweep.startedAt + RETENTION.sweepIntervalMs : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: `Failed to scan logs: ${err.message}` });
+  }
+});
+
+/** POST /admin/retention/sweep - run a sweep now and return its result */
+app.post("/admin/retention/sweep", requireAdmin, async (req, res) => {
+  try {
+    res.json(await runRetentionSweep());
+  } catch (err) {
+    res.status(500).json({ error: `Retention sweep failed: ${err.message}` });
+  }
+});
+
+/** Rate limit rules per source host (lib/throttle.js), admins only */
+function findThrottleRule(req, res) {
+  const rule = throttle.getRule(req.params.id);
+  if (!rule) {
+    res.status(404).json({ error: "Throttle rule not found" });
+    return null;
+  }
+  return rule;
+}
+
+app.get("/throttle/rules", requireAdmin, (req, res) => {
+  res.json({ rules: throttle.listRules(), onChange: throttle.ON_CHANGE });
+});
+
+app.post("/throttle/rules", requireAdmin, (req, res) => {
+  try {
+    const rule = throttle.createRule(req.body, req.user.username);
+    console.log(`Throttle rule ${rule.id} (${rule.host}) created by ${req.user.username}`);
+    applyRateLimits();
+    res.json(rule);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/throttle/rules/:id", requireAdmin, (req, res) => {
+  const rule = findThrottleRule(req, res);
+  if (rule) res.json(rule);
+});
+
+app.patch("/throttle/rules/:id", requireAdmin, (req, res) => {
+  const rule = findThrottleRule(req, res);
+  if (!rule) return;
+  try {
+    throttle.updateRule(rule, req.body);
+    applyRateLimits();
+    res.json(rule);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/throttle/rules/:id", requireAdmin, (req, res) => {
+  const rule = findThrottleRule(req, res);
+  if (!rule) return;
+  throttle.deleteRule(rule.id);
+  console.log(`Throttle rule ${rule.id} (${rule.host}) deleted by ${req.user.username}`);
+  applyRateLimits();
+  res.json({ success: true });
+});
+
+/** GET /throttle/limits?host=<source host> - limits a sync from that host would get now */
+app.get("/throttle/limits", requireAdmin, (req, res) => {
+  const host = String(req.query.host || "").trim();
+  if (!host) return res.status(400).json({ error: "host is required" });
+  res.json({ host, ...throttle.effectiveLimits(host) });
+});
+
+/** POST /sync */
+app.post("/sync", (req, res) => {
+  try {
+    const payload = requestPayload(req);
+    const notifyEmail = mailer.validateEmail(payload.notifyEmail);
+    if (notifyEmail && !mailer.isConfigured()) {
+      throw new Error("E-mail notifications are not configured on this server");
+    }
+    const job = createJob({
+      owner: req.user.username,
+      notifyEmail,
+      publicUrl: publicBaseUrl(req),
+      cancelled: false,
+    });
+    const jobId = job.id;
+
+    // Registered only once it is valid, so a rejected request leaves no job behind
+    enqueueSync(job, payload);
+    jobs.set(jobId, job);
+
+    res.json({ 
+      jobId,
+      status: job.status,
+      position: job.queuePosition,
+      logFile: job.logFilePath,
+      logDir: job.logDir
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message || "Bad Request" });
+  }
+});
+
+/** POST /check-sync */
+app.post("/check-sync", async (req, res) => {
+  try {
+    const payload = await oauth.resolveAccessTokens(requestPayload(req));
+    const job = createJob({ owner: req.user.username, timedOut: false });
+    const jobId = job.id;
+
+    startImapJustLogin(job, payload);
+    jobs.set(jobId, job);
+
+    res.json({ jobId });
+  } catch (err) {
+    res.status(400).json({ error: err.message || "Bad Request" });
+  }
+});
+
+/** POST /plan - dry run, the report arrives as a {type:"plan"} WS event and at /jobs/:id/plan */
+app.post("/plan", async (req, res) => {
+  try {
+    const payload = await oauth.resolveAccessTokens(requestPayload(req));
+    const job = createJob({ owner: req.user.username, kind: "plan", timedOut: false });
+    startImapPlan(job, payload);
+    jobs.set(job.id, job);
+
+    res.json({ jobId: job.id });
+  } catch (err) {
+    res.status(400).json({ error: err.message || "Bad Request" });
+  }
+});
+
+/** POST /batch - bulk migration, body: { csv, debug, nosslcheck, options, retry, verify, auth1, auth2 } */
+app.post("/batch", (req, res) => {
+  const { csv, debug, nosslcheck } = req.body || {};
+  if (!csv || typeof csv !== "string") {
+    return res.status(400).json({ error: "csv is required" });
+  }
+
+  let options, retry, verify, serviceAuth;
+  try {
+    options = validateOptions(req.body.options);
+    retry = validateRetryPolicy(req.body.retry);
+    verify = validateVerify(req.body.verify);
+    // Every row has its own mailbox, so only service accounts make sense here
+    for (const n of [1, 2]) {
+      const a = req.body[`auth${n}`];
+      if (a && a.type !== "service") throw new Error(`auth${n}: batch runs only support service accounts`);
+    }
+    const { auth1, auth2 } = oauth.validateAuth({ auth1: req.body.auth1, auth2: req.body.auth2 }, req.user);
+    serviceAuth = { auth1, auth2 };
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-  // Periodic keepalive to reduce idle WS timeouts
-  job.keepaliveTimer = setInterval(() => {
-    broadcast(job, { type: "keepalive", ts: Date.now() });
-  }, 20000);
+  const entries = parseBatchFile(csv, { 1: Boolean(serviceAuth.auth1), 2: Boolean(serviceAuth.auth2) });
+  if (!entries.length) {
+    return res.status(400).json({ error: "Batch file contains no rows" });
+  }
 
-  child.stdout.setEncoding("utf8");
-  child.stderr.setEncoding("utf8");
+  const batch = {
+    id: makeJobId(),
+    createdAt: Date.now(),
+    finishedAt: null,
+    status: "running",
+    owner: req.user.username,
+    debug,
+    nosslcheck,
+    rows: entries.map((e) => e.row),
+    sockets: new Set(),
+    updateTimer: null,
+  };
+  batches.set(batch.id, batch);
 
-  function safeParseLine(line) {
-    try {
-      if (job.onLine) job.onLine(line);
-    } catch (e) {
-      const warn = `[server] parser error: ${e.message}\n`;
-      job.buffer.push(warn);
-      broadcast(job, warn);
-      if (job.logStream) job.logStream.write(warn);
-    }
+  let valid = 0;
+  for (const { row, credentials } of entries) {
+    if (row.status === "invalid") continue;
+    const job = createJob({
+      owner: batch.owner,
+      cancelled: false,
+      batchId: batch.id,
+    });
+    jobs.set(job.id, job);
+    row.jobId = job.id;
+    row.status = "queued";
+    enqueueSync(job, { ...credentials, ...serviceAuth, debug, nosslcheck, options, retry, verify });
+    valid++;
   }
+  console.log(`Batch ${batch.id} created with ${batch.rows.length} rows (${valid} valid)`);
 
-  let stdoutBuf = "";
-  child.stdout.on("data", (chunk) => {
-    // Reset inactivity timeout on each log line
-    resetInactivityTimeout(job);
-    
-    stdoutBuf += chunk;
-    let idx;
-    while ((idx = stdoutBuf.indexOf("\n")) >= 0) {
-      const line = stdoutBuf.slice(0, idx + 1);
-      stdoutBuf = stdoutBuf.slice(idx + 1);
-      job.buffer.push(line);
-      broadcast(job, line);
-      safeParseLine(line);
-      if (job.logStream) job.logStream.write(line);
-    }
-  });
+  finalizeBatchIfDone(batch);
 
-  let stderrBuf = "";
-  child.stderr.on("data", (chunk) => {
-    // Reset inactivity timeout on each log line
-    resetInactivityTimeout(job);
-    
-    stderrBuf += chunk;
-    let idx;
-    while ((idx = stderrBuf.indexOf("\n")) >= 0) {
-      const line = stderrBuf.slice(0, idx + 1);
-      stderrBuf = stderrBuf.slice(idx + 1);
-      job.buffer.push(line);
-      broadcast(job, line);
-      safeParseLine(line);
-      if (job.logStream) job.logStream.write(`[ERROR] ${line}`);
-    }
-  });
+  res.json(batchSnapshot(batch));
+});
 
-  child.on("error", (err) => {
-    const msg = `[server] Failed to start imapsync: ${err.message}\n`;
-    job.buffer.push(msg);
-    broadcast(job, msg);
-    if (job.logStream) job.logStream.write(msg);
-  });
+/** GET /batch/:id - current batch snapshot */
+app.get("/batch/:id", (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch || !auth.canAccess(req.user, batch)) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+  res.json(batchSnapshot(batch));
+});
 
-  child.on("close", (code, signal) => {
-    clearInterval(job.keepaliveTimer);
-    job.keepaliveTimer = null;
-    
-    if (job.abortCheckInterval) {
-      clearInterval(job.abortCheckInterval);
-      job.abortCheckInterval = null;
-    }
-    
-    if (job.inactivityTimer) {
-      clearTimeout(job.inactivityTimer);
-      job.inactivityTimer = null;
-    }
+/** GET /schedules - the user's schedules (all of them for admins) */
+app.get("/schedules", (req, res) => {
+  const list = scheduleStore
+    .listSchedules()
+    .filter((s) => auth.canAccess(req.user, s))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(scheduleView);
+  res.json({ schedules: list });
+});
 
-    const duration = Date.now() - job.createdAt;
-    const durationMin = Math.round(duration / 60000);
-    
-    const wasCancelled = job.cancelled === true;
-    const footer = `\n${'='.repeat(60)}\n` +
-                  `=== Sync ${wasCancelled ? 'CANCELLED' : 'Completed'} at ${new Date().toISOString()} ===\n` +
-                  `Exit code: ${code}\n` +
-                  `Signal: ${signal || 'none'}\n` +
-                  `Duration: ${durationMin} minutes\n` +
-                  `${'='.repeat(60)}\n`;
-    
-    if (job.logStream) {
-      job.logStream.write(footer);
-      job.logStream.end();
-    }
-    
-    // Удаляем abort-файл после завершения (если он был создан)
-    try {
-      if (fs.existsSync(job.abortFilePath)) {
-        fs.unlinkSync(job.abortFilePath);
-        console.log(`Removed abort file: ${job.abortFilePath}`);
-      }
-    } catch (e) {
-      console.warn(`Failed to remove abort file: ${e.message}`);
-    }
-    
-    console.log(`imapsync process exited with code ${code}`);
-    console.log(`Log saved to: ${logFilePath}`);
+/**
+ * POST /schedules - body: { name, cron, host1, user1, pass1, host2, user2, pass2,
+ *                           options, retry, nosslcheck, debug, enabled }
+ */
+app.post("/schedules", (req, res) => {
+  try {
+    const schedule = scheduleStore.createSchedule(req.body, req.user.username);
+    console.log(`Schedule ${schedule.id} (${schedule.name}) created by ${req.user.username}: ${schedule.cron}`);
+    res.json(scheduleView(schedule));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    job.status = "finished";
-    broadcast(job, { 
-      type: "done", 
-      code: Number(code), 
-      signal: signal || null,
-      cancelled: wasCancelled
-    });
+app.get("/schedules/:id", (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (schedule) res.json(scheduleView(schedule));
+});
 
-    // Close all sockets after done
-    for (const s of job.sockets) {
-      try {
-        s.close(1000, "done");
-      } catch (_) {}
-    }
-  });
+/** PATCH /schedules/:id - change any field; { enabled: false } pauses, passwords are kept unless sent or the account changes */
+app.patch("/schedules/:id", (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  try {
+    scheduleStore.updateSchedule(schedule, req.body);
+    res.json(scheduleView(schedule));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/schedules/:id", (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  scheduleStore.deleteSchedule(schedule.id);
+  console.log(`Schedule ${schedule.id} (${schedule.name}) deleted by ${req.user.username}`);
+  res.json({ success: true });
+});
+
+/** POST /schedules/:id/run - run now, whether the schedule is paused or not */
+app.post("/schedules/:id/run", (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+
+  const active = activeScheduleJob(schedule);
+  if (active) {
+    return res.status(409).json({ error: `The previous run is still ${active.status}`, jobId: active.id });
+  }
+  try {
+    const job = runSchedule(schedule, false);
+    res.json({ jobId: job.id, status: job.status, schedule: scheduleView(schedule) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/** Accepts a timestamp in ms or anything Date can parse (e.g. 2024-05-01) */
+function parseDateParam(value) {
+  if (value === undefined || value === "") return null;
+  const n = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  return Number.isFinite(n) ? n : NaN;
 }
 
-/** Start imapsync --justlogin (check mode) with 10s timeout */
-function startImapJustLogin(job, payload) {
-  const { host1, user1, pass1, host2, user2, pass2, debug, nosslcheck } = payload || {};
-  if (!host1 || !user1 || !pass1 || !host2 || !user2 || !pass2) {
-    throw new Error("Missing required credentials");
+/** GET /jobs - sync job history, newest first */
+app.get("/jobs", (req, res) => {
+  const { status, host, user, owner } = req.query;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: "from/to must be a date or a timestamp in ms" });
+  }
+  const limit = clamp(Number(req.query.limit) || 100, 1, 1000);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+
+  const statuses = status ? String(status).toLowerCase().split(",").map((x) => x.trim()).filter(Boolean) : null;
+  const hostQ = host ? String(host).toLowerCase() : null;
+  const userQ = user ? String(user).toLowerCase() : null;
+  const contains = (value, q) => String(value || "").toLowerCase().includes(q);
+
+  const list = [];
+  for (const job of jobs.values()) {
+    if (!job.source) continue; // credential checks are not part of the history
+    if (!auth.canAccess(req.user, job)) continue;
+    if (owner && job.owner !== owner) continue;
+
+    const summary = jobSummary(job);
+    if (statuses && !statuses.includes(summary.status) && !statuses.includes(summary.outcome)) continue;
+    if (hostQ && !contains(job.source.host, hostQ) && !contains(job.destination.host, hostQ)) continue;
+    if (userQ && !contains(job.source.user, userQ) && !contains(job.destination.user, userQ)) continue;
+    if (from !== null && summary.createdAt < from) continue;
+    if (to !== null && summary.createdAt > to) continue;
+    list.push(summary);
   }
 
-  const args = [
-    "--host1", host1,
-    "--user1", user1,
-    "--password1", pass1,
-    "--host2", host2,
-    "--user2", user2,
-    "--password2", pass2,
-    "--ssl1",
-    "--ssl2",
-    "--justlogin",
-  ];
+  list.sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ total: list.length, offset, limit, jobs: list.slice(offset, offset + limit) });
+});
+
+/** GET /jobs/:id - job metadata and final progress */
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !job.source || !auth.canAccess(req.user, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(jobSummary(job));
+});
 
-  if (nosslcheck === "on" || nosslcheck === true) {
-    args.push("--nosslcheck");
+/**
+ * GET /jobs/:id/plan - migration plan of a /plan job
+ * ?format=json (default) | csv
+ * ?download=1 : send as attachment
+ */
+app.get("/jobs/:id/plan", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || job.kind !== "plan" || !auth.canAccess(req.user, job)) {
+    return res.status(404).json({ error: "Plan not found" });
   }
-  if (debug === "on" || debug === true) {
-    args.push("--debug");
+  if (!job.plan) {
+    return res.status(409).json({ error: "Plan is still running" });
   }
 
-  const child = spawn("imapsync", args, { stdio: ["ignore", "pipe", "pipe"] });
-  job.child = child;
-  job.status = "running";
+  const format = String(req.query.format || "json").toLowerCase();
+  if (format !== "json" && format !== "csv") {
+    return res.status(400).json({ error: "format must be json or csv" });
+  }
+  if (req.query.download === "1") {
+    res.attachment(`plan_${job.plan.source.user}_${job.plan.destination.user}.${format}`);
+  }
+  if (format === "csv") {
+    res.type("text/csv").send(planToCsv(job.plan));
+  } else {
+    res.json(job.plan);
+  }
+});
 
-  attachImapSyncParsers(job);
+/**
+ * GET /jobs/:id/summary - end-of-sync statistics parsed from the imapsync output
+ * ?format=json (default) | csv
+ * ?download=1 : send as attachment
+ */
+app.get("/jobs/:id/summary", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !job.source || !auth.canAccess(req.user, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (!job.summary) {
+    return res.status(404).json({ error: "No summary for this job" });
+  }
 
-  // 10 second timeout for credential check
-  const CHECK_TIMEOUT = 10000; // 10 seconds
-  job.checkTimeoutTimer = setTimeout(() => {
-    if (job.status === "running") {
-      const msg = `\n[SERVER] Credential check timeout (10 seconds) - terminating process...\n`;
-      job.buffer.push(msg);
-      broadcast(job, msg);
-      console.log(`Check timeout for job ${job.id}`);
-      
-      killImapsyncProcess(job, "check timeout");
-      
-      // Mark as timeout failure
-      job.timedOut = true;
-    }
-  }, CHECK_TIMEOUT);
+  const format = String(req.query.format || "json").toLowerCase();
+  if (format !== "json" && format !== "csv") {
+    return res.status(400).json({ error: "format must be json or csv" });
+  }
+  if (req.query.download === "1") {
+    res.attachment(`summary_${job.source.user}_${job.destination.user}.${format}`);
+  }
+  if (format === "csv") {
+    res.type("text/csv").send(summaryToCsv(job.summary));
+  } else {
+    res.json(job.summary);
+  }
+});
 
-  // keepalive WS
-  job.keepaliveTimer = setInterval(() => {
-    broadcast(job, { type: "keepalive", ts: Date.now() });
-  }, 20000);
+/**
+ * GET /jobs/:id/verification - report of the verify stage of a sync job
+ * ?format=json (default) | csv (one row per folder)
+ * ?download=1 : send as attachment
+ */
+app.get("/jobs/:id/verification", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !job.source || !auth.canAccess(req.user, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (!job.verify) {
+    return res.status(404).json({ error: "Verification was not requested for this job" });
+  }
+  if (!job.verification) {
+    return res.status(409).json({ error: "Verification has not run yet", status: job.status });
+  }
 
-  child.stdout.setEncoding("utf8");
-  child.stderr.setEncoding("utf8");
+  const format = String(req.query.format || "json").toLowerCase();
+  if (format !== "json" && format !== "csv") {
+    return res.status(400).json({ error: "format must be json or csv" });
+  }
+  if (req.query.download === "1") {
+    res.attachment(`verification_${job.source.user}_${job.destination.user}.${format}`);
+  }
+  if (format === "csv") {
+    res.type("text/csv").send(verificationToCsv(job.verification));
+  } else {
+    res.json(job.verification);
+  }
+});
 
-  function safeParseLine(line) {
-    try {
-      if (job.onLine) job.onLine(line);
-    } catch (e) {
-      const warn = `[server] parser error: ${e.message}\n`;
-      job.buffer.push(warn);
-      broadcast(job, warn);
-    }
+/**
+ * GET /jobs/:id/log - stored log file written by startImapSync
+ * ?tail=N     : only the last N lines (also for logs gzipped by the retention sweeper)
+ * ?download=1 : send as attachment
+ * Range       : single byte range (206), e.g. to follow a running job
+ */
+app.get("/jobs/:id/log", async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !job.logFilePath || !auth.canAccess(req.user, job)) {
+    return res.status(404).json({ error: "Log not found" });
   }
 
-  let stdoutBuf = "";
-  child.stdout.on("data", (chunk) => {
-    stdoutBuf += chunk;
-    let idx;
-    while ((idx = stdoutBuf.indexOf("\n")) >= 0) {
-      const line = stdoutBuf.slice(0, idx + 1);
-      stdoutBuf = stdoutBuf.slice(idx + 1);
-      job.buffer.push(line);
-      broadcast(job, line);
-      safeParseLine(line);
-    }
-  });
+  let stat;
+  try {
+    stat = await fs.promises.stat(job.logFilePath);
+  } catch (_) {
+    return res.status(404).json({ error: "Log file is no longer available" });
+  }
 
-  let stderrBuf = "";
-  child.stderr.on("data", (chunk) => {
-    stderrBuf += chunk;
-    let idx;
-    while ((idx = stderrBuf.indexOf("\n")) >= 0) {
-      const line = stderrBuf.slice(0, idx + 1);
-      stderrBuf = stderrBuf.slice(idx + 1);
-      job.buffer.push(line);
-      broadcast(job, line);
-      safeParseLine(line);
-    }
-  });
+  // Logs compressed by the retention sweeper are served inflated, without ranges
+  const compressed = job.logFilePath.endsWith(".gz");
 
-  child.on("error", (err) => {
-    const msg = `[server] Failed to start imapsync: ${err.message}\n`;
-    job.buffer.push(msg);
-    broadcast(job, msg);
-  });
+  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Accept-Ranges", compressed ? "none" : "bytes");
+  if (req.query.download) {
+    res.setHeader("Content-Disposition", `attachment; filename="${path.basename(job.logFilePath, ".gz")}"`);
+  }
 
-  child.on("close", (code, signal) => {
-    // Clear timeout timer
-    if (job.checkTimeoutTimer) {
-      clearTimeout(job.checkTimeoutTimer);
-      job.checkTimeoutTimer = null;
+  if (req.query.tail !== undefined) {
+    const lines = clamp(Number(req.query.tail) || 0, 1, 100000);
+    try {
+      return res.send(await (compressed ? readGzipTail : readTail)(job.logFilePath, lines));
+    } catch (err) {
+      return res.status(500).json({ error: `Failed to read log: ${err.message}` });
     }
+  }
 
-    clearInterval(job.keepaliveTimer);
-    job.keepaliveTimer = null;
+  if (compressed) {
+    const gunzip = zlib.createGunzip();
+    const input = fs.createReadStream(job.logFilePath);
+    const fail = (err) => {
+      console.warn(`Failed to stream log for job ${job.id}: ${err.message}`);
+      res.destroy(err);
+    };
+    input.on("error", fail);
+    gunzip.on("error", fail);
+    return input.pipe(gunzip).pipe(res);
+  }
 
-    job.status = "finished";
-    
-    // If timed out, return error code
-    const finalCode = job.timedOut ? 124 : Number(code); // 124 = timeout exit code
-    
-    broadcast(job, { 
-      type: "done", 
-      code: finalCode, 
-      signal: signal || null,
-      timedOut: job.timedOut || false
-    });
+  const range = parseRange(req.headers.range, stat.size);
+  if (range && range.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${stat.size}`);
+    return res.status(416).end();
+  }
 
-    // Close WS
-    for (const s of job.sockets) {
-      try {
-        s.close(1000, "done");
-      } catch (_) {}
-    }
+  const start = range ? range.start : 0;
+  const end = range ? range.end : stat.size - 1;
+  if (range) {
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${stat.size}`);
+  }
+  res.setHeader("Content-Length", Math.max(0, end - start + 1));
+  if (stat.size === 0) return res.end();
+
+  const stream = fs.createReadStream(job.logFilePath, { start, end });
+  stream.on("error", (err) => {
+    console.warn(`Failed to stream log for job ${job.id}: ${err.message}`);
+    res.destroy(err);
   });
+  stream.pipe(res);
+});
+
+/** Running or paused sync job by :id that the user may control, or null (after sending the error) */
+function findControllableJob(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job || !job.source || !auth.canAccess(req.user, job)) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  if (!job.run || job.limitChange || !["running", "paused"].includes(job.status)) {
+    res.status(400).json({ error: `Job is not running (status: ${job.status})` });
+    return null;
+  }
+  return job;
 }
 
-/** POST /sync */
-app.post("/sync", (req, res) => {
+/** POST /jobs/:id/pause - suspend a running sync */
+app.post("/jobs/:id/pause", (req, res) => {
+  const job = findControllableJob(req, res);
+  if (!job) return;
+  if (job.status === "paused") return res.status(409).json({ error: "Job is already paused" });
   try {
-    const jobId = makeJobId();
-    const job = {
-      id: jobId,
-      createdAt: Date.now(),
-      buffer: [],
-      sockets: new Set(),
-      status: "pending",
-      progress: { copied: 0, total: undefined, percentage: undefined },
-      cancelled: false,
-      inactivityTimeoutEnabled: false,
-      inactivityTimer: null,
-      lastActivityTime: null,
-    };
-    jobs.set(jobId, job);
-
-    startImapSync(job, req.body);
-
-    res.json({ 
-      jobId,
-      logFile: job.logFilePath,
-      logDir: job.logDir
-    });
+    pauseJob(job, req.user.username);
+    res.json({ success: true, jobId: job.id, status: job.status, pausedAt: job.pausedAt });
   } catch (err) {
-    res.status(400).json({ error: err.message || "Bad Request" });
+    res.status(500).json({ error: err.message });
   }
 });
 
-/** POST /check-sync */
-app.post("/check-sync", (req, res) => {
+/** POST /jobs/:id/resume - continue a paused sync */
+app.post("/jobs/:id/resume", (req, res) => {
+  const job = findControllableJob(req, res);
+  if (!job) return;
+  if (job.status !== "paused") return res.status(409).json({ error: "Job is not paused" });
   try {
-    const jobId = makeJobId();
-    const job = {
-      id: jobId,
-      createdAt: Date.now(),
-      buffer: [],
-      sockets: new Set(),
-      status: "pending",
-      progress: { copied: 0, total: undefined, percentage: undefined },
-      timedOut: false,
-    };
-    jobs.set(jobId, job);
-
-    startImapJustLogin(job, req.body);
-
-    res.json({ jobId });
+    resumeJob(job, req.user.username);
+    res.json({ success: true, jobId: job.id, status: job.status, pausedMs: job.pausedMs });
   } catch (err) {
-    res.status(400).json({ error: err.message || "Bad Request" });
+    res.status(500).json({ error: err.message });
   }
 });
 
@@ -669,10 +2458,35 @@ app.post("/cancel", (req, res) => {
   
   const job = jobs.get(jobId);
   
-  if (!job) {
+  if (!job || !auth.canAccess(req.user, job)) {
     return res.status(404).json({ error: "Job not found" });
   }
   
+  if ((job.status === "queued" || job.status === "retrying") && cancelQueuedJob(job)) {
+    cancellationsTotal.inc({ stage: "queued" });
+    return res.json({
+      success: true,
+      message: "Job removed from the queue",
+      jobId: jobId
+    });
+  }
+  
+  if (job.status === "verifying") {
+    job.verifyCancelled = true;
+    killImapsyncProcess(job, "verification cancelled");
+    cancellationsTotal.inc({ stage: "verify" });
+    return res.json({ success: true, message: "Verification cancelled - the sync itself has completed", jobId });
+  }
+
+  // A stopped process cannot handle SIGTERM: continue it first
+  if (job.status === "paused") {
+    try {
+      resumeJob(job, `${req.user.username} (cancel)`);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
   if (job.status !== "running") {
     return res.status(400).json({ error: `Job is not running (status: ${job.status})` });
   }
@@ -683,17 +2497,12 @@ app.post("/cancel", (req, res) => {
       const abortMessage = `Cancelled by user at ${new Date().toISOString()}\nJob ID: ${jobId}\n`;
       fs.writeFileSync(job.abortFilePath, abortMessage);
       job.cancelled = true;
+      cancellationsTotal.inc({ stage: "running" });
       
       const msg = `\n[CLIENT] Cancellation requested - abort file created: ${job.abortFilePath}\n`;
       const msg2 = `[CLIENT] imapsync will be terminated gracefully...\n\n`;
-      job.buffer.push(msg);
-      job.buffer.push(msg2);
-      broadcast(job, msg);
-      broadcast(job, msg2);
-      if (job.logStream) {
-        job.logStream.write(msg);
-        job.logStream.write(msg2);
-      }
+      jobLog(job, msg);
+      jobLog(job, msg2);
       
       console.log(`Abort file created for job ${jobId}: ${job.abortFilePath}`);
       
@@ -714,6 +2523,7 @@ app.post("/cancel", (req, res) => {
     try {
       killImapsyncProcess(job, "user cancellation");
       job.cancelled = true;
+      cancellationsTotal.inc({ stage: "running" });
       res.json({ 
         success: true, 
         message: "SIGTERM sent to process (no abort file available)",
@@ -727,6 +2537,13 @@ app.post("/cancel", (req, res) => {
   }
 });
 
+/** Legacy host1Fail/host2Fail flags of the check endpoints */
+function hostFailures(error, output) {
+  if (!error) return { host1Fail: false, host2Fail: false };
+  if (error.host) return { host1Fail: error.host === 1, host2Fail: error.host === 2 };
+  return { host1Fail: /Host1:.*FAIL/i.test(output), host2Fail: /Host2:.*FAIL/i.test(output) };
+}
+
 /** (Optional legacy) POST /check — JSON check */
 app.post("/check", async (req, res) => {
   try {
@@ -735,35 +2552,30 @@ app.post("/check", async (req, res) => {
       return res.status(400).json({ error: "Missing required credentials" });
     }
 
-    const args = [
-      "--host1", host1, "--user1", user1, "--password1", pass1,
-      "--host2", host2, "--user2", user2, "--password2", pass2,
-      "--ssl1", "--ssl2",
-      "--justlogin"
-    ];
-    if (nosslcheck === "on" || nosslcheck === true) args.push("--nosslcheck");
-    if (debug === "on" || debug === true) args.push("--debug");
-
-    const child = spawn("imapsync", args, { stdio: ["ignore", "pipe", "pipe"] });
-    let out = "";
-    child.stdout.setEncoding("utf8");
-    child.stderr.setEncoding("utf8");
-    child.stdout.on("data", (ch) => { out += ch; });
-    child.stderr.on("data", (ch) => { out += ch; });
+    let options;
+    try {
+      options = validateOptions(req.body.options);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-    child.on("error", (err) => {
-      res.status(500).json({ ok: false, error: `Failed to start imapsync: ${err.message}` });
+    const run = runner.startRun({
+      mode: "justlogin",
+      payload: { host1, user1, pass1, host2, user2, pass2, debug, nosslcheck },
+      options,
     });
-
-    child.on("close", (code) => {
-      const host1Fail = /Host1:.*FAIL/i.test(out);
-      const host2Fail = /Host2:.*FAIL/i.test(out);
-      const ok = !host1Fail && !host2Fail && (code === 0 || code === null);
-
-      if (ok) {
-        res.json({ ok: true, output: out, host1Fail: false, host2Fail: false });
+    let out = "";
+    run.on("line", (line) => { out += line; });
+
+    run.on("exit", ({ error, spawnError }) => {
+      if (spawnError) countSpawnFailure(run);
+      if (res.headersSent) return;
+      if (spawnError) {
+        res.status(500).json({ ok: false, error });
+      } else if (!error) {
+        res.json({ ok: true, output: out, host1Fail: false, host2Fail: false, error: null });
       } else {
-        res.status(400).json({ ok: false, output: out, host1Fail, host2Fail });
+        res.status(400).json({ ok: false, output: out, ...hostFailures(error, out), error });
       }
     });
   } catch (err) {
@@ -780,79 +2592,50 @@ app.post("/check-stream", async (req, res) => {
       return res.end("Missing required credentials");
     }
 
+    let options;
+    try {
+      options = validateOptions(req.body.options);
+    } catch (err) {
+      res.status(400).set("Content-Type", "text/plain; charset=utf-8");
+      return res.end(err.message);
+    }
+
     // SSE headers
     res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
     res.setHeader("Cache-Control", "no-cache, no-transform");
     res.setHeader("Connection", "keep-alive");
 
-    const args = [
-      "--host1", host1, "--user1", user1, "--password1", pass1,
-      "--host2", host2, "--user2", user2, "--password2", pass2,
-      "--ssl1", "--ssl2",
-      "--justlogin"
-    ];
-    if (nosslcheck === "on" || nosslcheck === true) args.push("--nosslcheck");
-    if (debug === "on" || debug === true) args.push("--debug");
-
-    const child = spawn("imapsync", args, { stdio: ["ignore", "pipe", "pipe"] });
-
-    let out = "";
-    let stdoutBuffer = "";
-    let stderrBuffer = "";
-
     const sendEvent = (event, data) => {
+      if (res.writableEnded || res.destroyed) return;
       res.write(`event: ${event}\n`);
       res.write(`data: ${JSON.stringify(data)}\n\n`);
     };
 
-    child.stdout.setEncoding("utf8");
-    child.stderr.setEncoding("utf8");
-
-    // Stream lines in full (buffer until newline)
-    child.stdout.on("data", (chunk) => {
-      out += chunk;
-      stdoutBuffer += chunk;
-      let idx;
-      while ((idx = stdoutBuffer.indexOf("\n")) >= 0) {
-        const line = stdoutBuffer.slice(0, idx + 1);
-        stdoutBuffer = stdoutBuffer.slice(idx + 1);
-        sendEvent("line", { line });
-      }
-    });
-
-    child.stderr.on("data", (chunk) => {
-      out += chunk;
-      stderrBuffer += chunk;
-      let idx;
-      while ((idx = stderrBuffer.indexOf("\n")) >= 0) {
-        const line = stderrBuffer.slice(0, idx + 1);
-        stderrBuffer = stderrBuffer.slice(idx + 1);
-        sendEvent("line", { line });
-      }
+    const run = runner.startRun({
+      mode: "justlogin",
+      payload: { host1, user1, pass1, host2, user2, pass2, debug, nosslcheck },
+      options,
     });
+    let out = "";
 
-    child.on("error", (err) => {
-      sendEvent("line", { line: `[server] Failed to start imapsync: ${err.message}\n` });
-      sendEvent("end", { ok: false, host1Fail: true, host2Fail: true });
-      res.end();
+    // Whole lines, already redacted by the runner
+    run.on("line", (line) => {
+      out += line;
+      sendEvent("line", { line });
     });
 
-    child.on("close", (code) => {
-      // Flush remaining partials (if no trailing newline)
-      if (stdoutBuffer.length) sendEvent("line", { line: stdoutBuffer + "\n" });
-      if (stderrBuffer.length) sendEvent("line", { line: stderrBuffer + "\n" });
-
-      const host1Fail = /Host1:.*FAIL/i.test(out);
-      const host2Fail = /Host2:.*FAIL/i.test(out);
-      const ok = !host1Fail && !host2Fail && (code === 0 || code === null);
-
-      sendEvent("end", { ok, host1Fail, host2Fail });
+    run.on("exit", ({ error, spawnError }) => {
+      if (spawnError) countSpawnFailure(run);
+      if (res.writableEnded) return;
+      const failures = spawnError ? { host1Fail: true, host2Fail: true } : hostFailures(error, out);
+      sendEvent("end", { ok: !error, ...failures, error });
       res.end();
     });
 
     // Client disconnected -> stop child
-    req.on("close", () => {
-      try { child.kill("SIGTERM"); } catch (_) {}
+    res.on("close", () => {
+      if (res.writableEnded) return;
+      run.kill("client disconnected");
     });
 
   } catch (err) {
@@ -868,7 +2651,28 @@ server.on("upgrade", (request, socket, head) => {
   const { query } = url.parse(request.url, true);
   const jobId = query.job;
 
-  if (!jobId || !jobs.has(jobId)) {
+  const user = auth.authenticate(request);
+  if (!user) {
+    socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+
+  if (query.batch) {
+    const batch = batches.get(query.batch);
+    if (!batch || !auth.canAccess(user, batch)) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      batch.sockets.add(ws);
+      ws.send(JSON.stringify(batchSnapshot(batch)));
+      ws.on("close", () => batch.sockets.delete(ws));
+    });
+    return;
+  }
+
+  if (!jobId || !jobs.has(jobId) || !auth.canAccess(user, jobs.get(jobId))) {
     socket.destroy();
     return;
   }
@@ -878,7 +2682,55 @@ server.on("upgrade", (request, socket, head) => {
   });
 });
 
-/** WS connection */
+/** Text of the on-disk log before `endOffset` (the part that fell out of the replay ring) */
+function readLogForReplay(job, endOffset) {
+  if (!job.logFilePath) return null;
+  if (job.logFilePath.endsWith(".gz")) return `[SERVER] The log has been compressed, full log: /jobs/${job.id}/log\n`;
+  let fd;
+  try {
+    fd = fs.openSync(job.logFilePath, "r");
+    const size = fs.fstatSync(fd).size;
+    const end = typeof endOffset === "number" ? Math.min(endOffset, size) : size;
+    const start = Math.max(0, end - REPLAY_DISK_MAX_BYTES);
+    const buf = Buffer.alloc(end - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+
+    let text = buf.toString("utf8");
+    if (start > 0) {
+      // Drop the partial first line
+      text = text.slice(text.indexOf("\n") + 1);
+      text = `[SERVER] ${start} earlier bytes omitted, full log: /jobs/${job.id}/log\n` + text;
+    }
+    return text;
+  } catch (e) {
+    console.warn(`Failed to read log for replay of job ${job.id}: ${e.message}`);
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/** Send a client everything after `since`: from the ring, or reset + on-disk log when the ring has a gap */
+function replayJob(ws, job, since) {
+  const ring = job.buffer;
+  const first = ring.length ? ring[0].seq : job.seq + 1;
+  let sentDone = false;
+
+  if (job.restored || since + 1 < first) {
+    ws.send(JSON.stringify({ type: "reset", seq: since }));
+    const text = readLogForReplay(job, ring.length ? ring[0].logOffset : null);
+    if (text) ws.send(JSON.stringify({ type: "log", line: text, replay: "disk" }));
+  }
+
+  for (const item of ring) {
+    if (item.seq <= since) continue;
+    ws.send(item.payload);
+    if (item.seq === job.doneSeq) sentDone = true;
+  }
+  return { sentDone };
+}
+
+/** WS connection: ?job=<id>&since=<seq> */
 wss.on("connection", (ws, request, jobId) => {
   const job = jobs.get(jobId);
   if (!job) {
@@ -886,18 +2738,44 @@ wss.on("connection", (ws, request, jobId) => {
     return;
   }
 
-  job.sockets.add(ws);
+  const { query } = url.parse(request.url, true);
+  const since = Math.max(0, Number(query.since) || 0);
+
+  // Replay and subscribe in the same tick so no event is missed or duplicated
+  const { sentDone } = replayJob(ws, job, since);
+
+  // Current state snapshots (not sequenced)
+  ws.send(JSON.stringify(progressEvent(job)));
+  if (job.folders && job.folders.size) {
+    ws.send(JSON.stringify(folderProgressEvent(job)));
+  }
+  if (job.status === "queued") {
+    ws.send(JSON.stringify({ type: "queued", position: job.queuePosition, running: runningSyncs.size }));
+  }
+  if (job.status === "paused") {
+    ws.send(JSON.stringify({ type: "paused", pausedAt: job.pausedAt }));
+  }
 
-  // Flush buffered logs to the new client
-  if (Array.isArray(job.buffer) && job.buffer.length) {
-    for (const entry of job.buffer) {
-      ws.send(typeof entry === "string" ? entry : String(entry));
+  // Job already over (possibly before a restart): report the outcome and close
+  if (job.status === "finished" || job.status === "interrupted") {
+    if (!sentDone) {
+      ws.send(JSON.stringify({
+        type: "done",
+        seq: job.seq,
+        code: job.exitCode === undefined ? null : job.exitCode,
+        signal: job.signal || null,
+        cancelled: job.cancelled === true,
+        timedOut: job.timedOut === true,
+        interrupted: job.status === "interrupted",
+        summary: job.summary || null,
+        error: job.error || null,
+      }));
     }
-    job.buffer.length = 0;
+    ws.close(1000, "done");
+    return;
   }
 
-  // Send current progress snapshot
-  sendProgress(job);
+  job.sockets.add(ws);
 
   ws.on("message", (data) => {
     // Optional: client pings
@@ -920,7 +2798,14 @@ wss.on("connection", (ws, request, jobId) => {
 function shutdown() {
   console.log("Shutting down gracefully...");
   for (const [jobId, job] of jobs) {
-    if (job.child && job.status === "running") {
+    if (job.run && job.status === "paused") {
+      try {
+        resumeJob(job, "server shutdown");
+      } catch (e) {
+        console.warn(`Failed to resume job ${jobId} on shutdown: ${e.message}`);
+      }
+    }
+    if (job.run && (job.status === "running" || job.status === "verifying")) {
       // Используем abort file для graceful shutdown
       if (job.abortFilePath) {
         try {
@@ -933,18 +2818,30 @@ function shutdown() {
       }
       killImapsyncProcess(job, "server shutdown");
     }
-    if (job.inactivityTimer) {
-      clearTimeout(job.inactivityTimer);
-      job.inactivityTimer = null;
+    // Pending retries need the passwords, which are not persisted: they come back as "interrupted"
+    if (job.retryTimer) {
+      clearTimeout(job.retryTimer);
+      job.retryTimer = null;
     }
     if (job.logStream) {
-      job.logStream.write(`\n[SHUTDOWN] Server shutdown at ${new Date().toISOString()}\n`);
+      writeLogFile(job, `\n[SHUTDOWN] Server shutdown at ${new Date().toISOString()}\n`);
       job.logStream.end();
     }
     for (const ws of job.sockets) {
       try { ws.close(1001, "server shutdown"); } catch (_) {}
     }
   }
+  // Queued jobs never started: just drop them
+  syncQueue.length = 0;
+  clearInterval(scheduleTimer);
+  clearInterval(retentionTimer);
+  clearInterval(throttleTimer);
+  webhooks.stopRetries();
+  for (const batch of batches.values()) {
+    for (const ws of batch.sockets) {
+      try { ws.close(1001, "server shutdown"); } catch (_) {}
+    }
+  }
   
   // Даём время для graceful shutdown
   setTimeout(() => {
@@ -959,10 +2856,27 @@ process.on("SIGINT", shutdown);
 process.on("SIGTERM", shutdown);
 
 /** Start server */
+removeStalePassfiles();
+auth.loadUsers();
+restoreJobs();
+scheduleStore.loadSchedules();
+profileStore.loadProfiles();
+oauth.loadGrants();
+webhooks.loadWebhooks();
+throttle.loadRules();
+scheduleTimer = setInterval(runDueSchedules, SCHEDULE_TICK_MS);
+retentionTimer = setInterval(retentionSweepTick, RETENTION.sweepIntervalMs);
+throttleTimer = setInterval(applyRateLimits, THROTTLE_TICK_MS);
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  const INACTIVITY_TIMEOUT_MS = Number(process.env.INACTIVITY_TIMEOUT_MS || 2 * 60 * 60 * 1000);
-  const timeoutMinutes = Math.round(INACTIVITY_TIMEOUT_MS / 60000);
-  console.log(`Inactivity timeout for sync jobs: ${timeoutMinutes} minutes`);
+  console.log(`imapsync binary: ${runner.IMAPSYNC_BIN}`);
+  console.log(`Inactivity timeout for sync jobs: ${Math.round(runner.TIMEOUTS.inactivity / 60000)} minutes`);
+  console.log(`Authentication mode: ${auth.AUTH_MODE}`);
+  console.log(`Sync queue limits: ${MAX_CONCURRENT_SYNCS} concurrent, ${MAX_SYNCS_PER_HOST} per source host`);
+  console.log(`Schedules: ${scheduleStore.listSchedules().filter((s) => s.enabled).length} active`);
+  console.log(`Stored credentials: ${secretsConfigured() ? "enabled" : "disabled (set SECRETS_KEY or SECRETS_KEY_PATH)"}`);
+  console.log(`Retention sweep every ${Math.round(RETENTION.sweepIntervalMs / 60000)} minutes`);
+  retentionSweepTick();
 });
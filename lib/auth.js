@@ -0,0 +1,201 @@
+"use strict";
+
+/*
+  Authentication
+  AUTH_MODE:
+  - local (default) : users in USERS_PATH with scrypt-hashed passwords, cookie sessions
+  - proxy           : trust the user name in AUTH_PROXY_HEADER set by a reverse proxy
+                      (only safe when the proxy strips that header from client requests)
+  - none            : no authentication, everybody is an admin (previous behaviour)
+
+  Roles: "admin" sees and controls every job, "user" only their own.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { LOG_ROOT } = require("./paths");
+
+const AUTH_MODE = (process.env.AUTH_MODE || "local").toLowerCase();
+const USERS_PATH = process.env.USERS_PATH || path.join(LOG_ROOT, "users.json");
+const PROXY_HEADER = (process.env.AUTH_PROXY_HEADER || "x-forwarded-user").toLowerCase();
+const PROXY_ADMINS = (process.env.AUTH_ADMIN_USERS || "")
+  .split(",")
+  .map((u) => u.trim())
+  .filter(Boolean);
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+const SESSION_COOKIE = "imapsync_session";
+
+if (!["local", "proxy", "none"].includes(AUTH_MODE)) {
+  throw new Error(`Unknown AUTH_MODE "${AUTH_MODE}" (expected local, proxy or none)`);
+}
+
+let users = new Map(); // username -> { username, role, passwordHash, createdAt }
+const sessions = new Map(); // token -> { username, expiresAt }
+
+/** Password hashing: "scrypt$<salt hex>$<hash hex>" */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function saveUsers() {
+  fs.mkdirSync(path.dirname(USERS_PATH), { recursive: true });
+  const tmp = `${USERS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...users.values()], null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, USERS_PATH);
+}
+
+/** Load users; on first start create "admin" with ADMIN_PASSWORD or a random password */
+function loadUsers() {
+  if (AUTH_MODE !== "local") return;
+
+  try {
+    const list = JSON.parse(fs.readFileSync(USERS_PATH, "utf8"));
+    users = new Map(list.map((u) => [u.username, u]));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Failed to read users from ${USERS_PATH}: ${e.message}`);
+  }
+
+  if (users.size === 0) {
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+    createUser("admin", password, "admin");
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(`Created user "admin" with the password from ADMIN_PASSWORD`);
+    } else {
+      console.log(`Created user "admin" with password: ${password}`);
+    }
+  }
+}
+
+function validUsername(username) {
+  return typeof username === "string" && /^[a-zA-Z0-9._@-]{1,64}$/.test(username);
+}
+
+function createUser(username, password, role = "user") {
+  if (!validUsername(username)) throw new Error("Invalid username");
+  if (!password || String(password).length < 8) throw new Error("Password must be at least 8 characters");
+  if (role !== "admin" && role !== "user") throw new Error("Role must be admin or user");
+  if (users.has(username)) throw new Error("User already exists");
+
+  const user = { username, role, passwordHash: hashPassword(password), createdAt: Date.now() };
+  users.set(username, user);
+  saveUsers();
+  return publicUser(user);
+}
+
+function deleteUser(username) {
+  if (!users.delete(username)) return false;
+  saveUsers();
+  for (const [token, s] of sessions) {
+    if (s.username === username) sessions.delete(token);
+  }
+  return true;
+}
+
+function listUsers() {
+  return [...users.values()].map(publicUser);
+}
+
+function publicUser(user) {
+  return { username: user.username, role: user.role };
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    try {
+      out[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (_) {
+      // malformed cookie value
+    }
+  }
+  return out;
+}
+
+/** Check credentials and open a session; returns { token, user } or null */
+function login(username, password) {
+  const user = users.get(String(username || ""));
+  if (!user || !verifyPassword(password, user.passwordHash)) return null;
+
+  const token = crypto.randomBytes(32).toString("hex");
+  sessions.set(token, { username: user.username, expiresAt: Date.now() + SESSION_TTL_MS });
+  return { token, user: publicUser(user) };
+}
+
+function logout(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) sessions.delete(token);
+}
+
+/** Current user of an HTTP request (express or raw upgrade request), or null */
+function authenticate(req) {
+  if (AUTH_MODE === "none") {
+    return { username: "anonymous", role: "admin" };
+  }
+
+  if (AUTH_MODE === "proxy") {
+    const username = String(req.headers[PROXY_HEADER] || "").trim();
+    if (!username) return null;
+    return { username, role: PROXY_ADMINS.includes(username) ? "admin" : "user" };
+  }
+
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  const user = users.get(session.username);
+  return user ? publicUser(user) : null;
+}
+
+function sessionCookie(token, secure) {
+  const attrs = [`${SESSION_COOKIE}=${token}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`];
+  if (secure) attrs.push("Secure");
+  return attrs.join("; ");
+}
+
+function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+/** Only the owner or an admin may see or control a job */
+function canAccess(user, owned) {
+  if (!user) return false;
+  return user.role === "admin" || owned.owner === user.username;
+}
+
+// Drop expired sessions now and then
+setInterval(() => {
+  const now = Date.now();
+  for (const [token, s] of sessions) {
+    if (s.expiresAt < now) sessions.delete(token);
+  }
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+  AUTH_MODE,
+  loadUsers,
+  createUser,
+  deleteUser,
+  listUsers,
+  login,
+  logout,
+  authenticate,
+  sessionCookie,
+  clearSessionCookie,
+  canAccess,
+};
@@ -0,0 +1,135 @@
+"use strict";
+
+/*
+  Cron expressions for scheduled syncs (server local time)
+    minute hour day-of-month month day-of-week
+  Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (0-59/15, 1-31/2);
+  months and weekdays also take names (jan, mon). Shortcuts: @hourly @daily @weekly @monthly @yearly.
+  As in classic cron, a job with both day-of-month and day-of-week restricted runs when either matches.
+*/
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "dayOfWeek", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+// Give up looking for the next run after this many years (e.g. "0 0 31 2 *" never matches)
+const SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === "month" ? 1 : 0);
+  }
+  if (!/^\d+$/.test(text)) throw new Error(`${field.name}: "${text}" is not a number`);
+  const n = Number(text);
+  if (n < field.min || n > field.max) throw new Error(`${field.name}: ${n} is not within ${field.min}-${field.max}`);
+  return n;
+}
+
+/** One field -> Set of allowed values */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`${field.name}: invalid step in "${part}"`);
+
+    let from, to;
+    if (range === "*") {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes("-")) {
+      const [a, b] = range.split("-");
+      from = parseValue(a, field);
+      to = parseValue(b, field);
+      if (from > to) throw new Error(`${field.name}: invalid range "${range}"`);
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ * Returns { expression, minute, hour, dayOfMonth, month, dayOfWeek (Sets), dayOfMonthAny, dayOfWeekAny };
+ * throws an Error naming the bad field.
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new Error("Invalid cron expression: it is empty");
+  }
+  const text = expression.trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${text}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const cron = { expression: text };
+  try {
+    FIELDS.forEach((field, i) => {
+      cron[field.name] = parseField(parts[i], field);
+    });
+  } catch (err) {
+    throw new Error(`Invalid cron expression "${text}": ${err.message}`);
+  }
+  // 7 is Sunday too
+  if (cron.dayOfWeek.delete(7)) cron.dayOfWeek.add(0);
+  cron.dayOfMonthAny = parts[2] === "*";
+  cron.dayOfWeekAny = parts[4] === "*";
+  return cron;
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.dayOfMonth.has(d.getDate());
+  const dow = cron.dayOfWeek.has(d.getDay());
+  if (cron.dayOfMonthAny) return dow;
+  if (cron.dayOfWeekAny) return dom;
+  return dom || dow;
+}
+
+/** First matching minute strictly after `after` (ms), or null when there is none */
+function nextRun(cron, after = Date.now()) {
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = after + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  while (d.getTime() <= limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+};
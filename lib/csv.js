@@ -0,0 +1,18 @@
+"use strict";
+
+/* Minimal CSV writer for report downloads (RFC 4180 quoting, CRLF line ends) */
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** header: [title, ...], rows: [[value, ...], ...] */
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  csvCell,
+  toCsv,
+};
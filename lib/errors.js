@@ -0,0 +1,187 @@
+"use strict";
+
+/*
+  Failure classification for imapsync runs
+  Exit codes (documented in imapsync) and well-known error lines are mapped to a category
+  with a human-readable title and a remediation hint:
+    { category, title, hint, host, exitCode, line }
+  host is 1 (source), 2 (destination) or null when unknown.
+*/
+
+const CATEGORIES = {
+  auth: {
+    title: "Authentication failed",
+    hint: "Check the user name and password. Some providers need an app password or IMAP access enabled in the account settings.",
+  },
+  tls: {
+    title: "TLS/SSL error",
+    hint: "The secure connection failed. Check the port and SSL/STARTTLS setting, or use \"Skip SSL certificate check\" for self-signed certificates.",
+  },
+  dns: {
+    title: "Host name not found",
+    hint: "The server name could not be resolved. Check the spelling of the IMAP host.",
+  },
+  connect: {
+    title: "Connection failed",
+    hint: "The IMAP server could not be reached. Check the host, the port and any firewall between this server and the mail server.",
+  },
+  quota: {
+    title: "Destination quota exceeded",
+    hint: "The destination mailbox is full. Increase its quota or free space, then run the sync again; already copied messages are skipped.",
+  },
+  too_large: {
+    title: "Message too large",
+    hint: "The destination refused a message over its size limit. Use --maxsize to skip big messages or raise the limit on the destination server.",
+  },
+  timeout: {
+    title: "Timed out",
+    hint: "imapsync stopped responding and was terminated. Check the server load and network, then retry.",
+  },
+  cancelled: {
+    title: "Cancelled",
+    hint: "The sync was cancelled. Running it again continues where it stopped.",
+  },
+  folder: {
+    title: "Folder error",
+    hint: "A folder could not be selected or created. Check the folder options (--folder, --regextrans2, --subfolder2) and the folder permissions.",
+  },
+  transfer: {
+    title: "Some messages failed",
+    hint: "imapsync finished with errors for some messages. See the log for the failing messages and run the sync again to retry them.",
+  },
+  oauth: {
+    title: "OAuth2 sign-in failed",
+    hint: "No access token could be obtained for the mailbox. Sign in with the provider again, or check the OAuth2 client or service account settings of the server.",
+  },
+  spawn: {
+    title: "imapsync could not be started",
+    hint: "Check that imapsync is installed and on the PATH of the server.",
+  },
+  unknown: {
+    title: "Sync failed",
+    hint: "See the log for details.",
+  },
+};
+
+// imapsync exit codes -> [category, host]
+const EXIT_CODES = {
+  6: ["cancelled", null], // EXIT_BY_SIGNAL
+  7: ["cancelled", null], // EXIT_BY_FILE (abort file)
+  10: ["connect", null], // EXIT_CONNECTION_FAILURE
+  12: ["tls", null], // EXIT_TLS_FAILURE
+  16: ["auth", null], // EXIT_AUTHENTICATION_FAILURE
+  21: ["folder", 1], // EXIT_SUBFOLDER1_NO_EXISTS
+  101: ["connect", 1], // EXIT_CONNECTION_FAILURE_HOST1
+  102: ["connect", 2], // EXIT_CONNECTION_FAILURE_HOST2
+  111: ["transfer", null], // EXIT_WITH_ERRORS
+  112: ["transfer", null], // EXIT_WITH_ERRORS_MAX
+  113: ["quota", 2], // EXIT_OVERQUOTA
+  114: ["transfer", 2], // EXIT_ERR_APPEND
+  115: ["transfer", 1], // EXIT_ERR_FETCH
+  116: ["folder", 2], // EXIT_ERR_CREATE
+  117: ["folder", null], // EXIT_ERR_SELECT
+  118: ["quota", null], // EXIT_TRANSFER_EXCEEDED
+  119: ["transfer", 2], // EXIT_ERR_APPEND_VIRUS
+  124: ["timeout", null], // our own timeout (see killImapsyncProcess)
+  161: ["auth", 1], // EXIT_AUTHENTICATION_FAILURE_USER1
+  162: ["auth", 2], // EXIT_AUTHENTICATION_FAILURE_USER2
+};
+
+// Categories that say nothing about the cause; a matching error line is more useful
+const GENERIC = new Set(["transfer", "unknown"]);
+// A connection failure is often a DNS or TLS problem that only the output tells apart
+const REFINEMENTS = { connect: ["dns", "tls"] };
+
+// First match wins, so more specific patterns come first
+const LINE_PATTERNS = [
+  ["quota", /OVERQUOTA|over\s*quota|quota\s+exceeded|mailbox\s+(is\s+)?full/i],
+  ["too_large", /TOOBIG|message\s+too\s+(large|big)|exceeds?\s+(the\s+)?(maximum\s+)?(message\s+)?size|maximum\s+message\s+size/i],
+  ["auth", /AUTHENTICATIONFAILED|authentication\s+failed|invalid\s+credentials|failed\s+login|error\s+login|LOGIN\s+failed|AUTHENTICATE\s+failed|NO\s+\[?AUTH/i],
+  ["tls", /SSL\s+connect\s+attempt\s+failed|certificate\s+verify\s+failed|SSL\s+routines|handshake|start\s*TLS\s+failed|STARTTLS|unable\s+to\s+establish\s+SSL/i],
+  ["dns", /can\s*not\s+resolve|could\s+not\s+resolve|name\s+or\s+service\s+not\s+known|nodename\s+nor\s+servname|temporary\s+failure\s+in\s+name\s+resolution|getaddrinfo|NXDOMAIN/i],
+  ["connect", /connection\s+refused|network\s+is\s+unreachable|no\s+route\s+to\s+host|connection\s+timed\s+out|can\s*not\s+(open\s+socket|connect)|could\s+not\s+connect|connection\s+reset/i],
+  ["folder", /could\s+not\s+(select|create)|can\s*not\s+(select|create)\s+folder|folder\s+.*does\s+not\s+exist/i],
+];
+
+const reHost = /\bhost\s*([12])\b/i;
+const MAX_LINE_LENGTH = 300;
+
+/** Category of a single output line, or null */
+function classifyLine(raw) {
+  const line = String(raw).trim();
+  if (!line) return null;
+  // Statistics and progress lines mention "errors" and sizes in a harmless way
+  if (/^(Detected\s+\d+\s+errors|msg\s+\S+\s+\{\d+\}\s+copied|Host[12]:?\s+folder\s)/i.test(line)) return null;
+
+  for (const [category, re] of LINE_PATTERNS) {
+    if (!re.test(line)) continue;
+    const m = line.match(reHost);
+    return { category, host: m ? Number(m[1]) : null, line: line.slice(0, MAX_LINE_LENGTH) };
+  }
+  return null;
+}
+
+function describe(category, extra) {
+  const c = CATEGORIES[category] || CATEGORIES.unknown;
+  return { category, title: c.title, hint: c.hint, ...extra };
+}
+
+/**
+ * Collects error lines while imapsync runs.
+ * result({ code, signal, timedOut, cancelled, spawnError, tokenError }) returns the structured error, or null on success.
+ */
+function createErrorClassifier() {
+  const matches = []; // first match per category, in order of appearance
+
+  function onLine(line) {
+    const m = classifyLine(line);
+    if (m && !matches.some((x) => x.category === m.category)) matches.push(m);
+  }
+
+  function result({ code, signal = null, timedOut = false, cancelled = false, spawnError = null, tokenError = null } = {}) {
+    const exitCode = typeof code === "number" && Number.isFinite(code) ? code : null;
+
+    if (tokenError) return describe("oauth", { host: null, exitCode, line: String(tokenError).slice(0, MAX_LINE_LENGTH) });
+    if (spawnError) return describe("spawn", { host: null, exitCode, line: String(spawnError).slice(0, MAX_LINE_LENGTH) });
+    if (cancelled) return describe("cancelled", { host: null, exitCode, line: null });
+    if (timedOut || exitCode === 124) return describe("timeout", { host: null, exitCode, line: null });
+    if (exitCode === 0) return null;
+
+    const [exitCategory, exitHost] = EXIT_CODES[exitCode] || ["unknown", null];
+    if (exitCode === null && signal) {
+      return describe("cancelled", { host: null, exitCode, line: `Terminated by ${signal}` });
+    }
+
+    if (GENERIC.has(exitCategory)) {
+      const m = matches[0];
+      if (m) return describe(m.category, { host: m.host, exitCode, line: m.line });
+      return describe(exitCategory, { host: exitHost, exitCode, line: null });
+    }
+
+    const refined = matches.find((x) => (REFINEMENTS[exitCategory] || []).includes(x.category));
+    if (refined) return describe(refined.category, { host: exitHost || refined.host, exitCode, line: refined.line });
+
+    const m = matches.find((x) => x.category === exitCategory);
+    return describe(exitCategory, {
+      host: exitHost || (m ? m.host : null),
+      exitCode,
+      line: m ? m.line : null,
+    });
+  }
+
+  return { onLine, result };
+}
+
+/** Classify a finished run from its whole output (for /check) */
+function classifyOutput(output, outcome) {
+  const classifier = createErrorClassifier();
+  for (const line of String(output || "").split("\n")) classifier.onLine(line);
+  return classifier.result(outcome);
+}
+
+module.exports = {
+  CATEGORIES,
+  classifyLine,
+  createErrorClassifier,
+  classifyOutput,
+};
@@ -0,0 +1,86 @@
+"use strict";
+
+/*
+  Persistent job store (JSON lines)
+  - every state change appends the full job record, the last record for an id wins
+  - the file is compacted when it is loaded on boot
+  - jobs that were queued, running, paused, verifying or waiting for a retry when the server died are marked "interrupted"
+
+  Records never contain passwords.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { LOG_ROOT } = require("./paths");
+
+const STORE_PATH = process.env.JOBS_STORE_PATH || path.join(LOG_ROOT, "jobs.jsonl");
+
+function ensureStoreDir() {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+}
+
+/** Rewrite the store with one line per job (records: id -> record) */
+function compactJobs(records) {
+  ensureStoreDir();
+  const tmp = `${STORE_PATH}.tmp`;
+  const lines = [...records.values()].map((r) => JSON.stringify(r) + "\n");
+  fs.writeFileSync(tmp, lines.join(""));
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+/** Load all job records (id -> record) */
+function loadJobs() {
+  const records = new Map();
+
+  let text;
+  try {
+    text = fs.readFileSync(STORE_PATH, "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`Failed to read job store ${STORE_PATH}: ${e.message}`);
+    return records;
+  }
+
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec && rec.id) records.set(rec.id, rec);
+    } catch (_) {
+      // torn last line after a crash
+    }
+  }
+
+  let interrupted = 0;
+  for (const rec of records.values()) {
+    if (["queued", "running", "paused", "verifying", "retrying"].includes(rec.status)) {
+      rec.status = "interrupted";
+      interrupted++;
+    }
+  }
+
+  try {
+    compactJobs(records);
+  } catch (e) {
+    console.warn(`Failed to compact job store: ${e.message}`);
+  }
+
+  console.log(`Loaded ${records.size} jobs from ${STORE_PATH} (${interrupted} interrupted)`);
+  return records;
+}
+
+/** Append the current state of a job */
+function saveJob(record) {
+  try {
+    ensureStoreDir();
+    fs.appendFileSync(STORE_PATH, JSON.stringify(record) + "\n");
+  } catch (e) {
+    console.warn(`Failed to persist job ${record.id}: ${e.message}`);
+  }
+}
+
+module.exports = {
+  STORE_PATH,
+  compactJobs,
+  loadJobs,
+  saveJob,
+};
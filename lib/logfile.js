@@ -0,0 +1,112 @@
+"use strict";
+
+/*
+  Helpers for serving stored imapsync logs
+  - readTail     : last N lines of a (possibly still growing) file
+  - readGzipTail : last N lines of a log compressed by the retention sweeper
+  - parseRange   : single "bytes=" HTTP range
+*/
+
+const fs = require("fs");
+const zlib = require("zlib");
+
+const TAIL_CHUNK = 64 * 1024;
+
+/** Read the last `lines` lines of a file without loading all of it */
+async function readTail(filePath, lines) {
+  const fh = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await fh.stat();
+    let pos = size;
+    let newlines = 0;
+    const chunks = [];
+
+    // A trailing newline terminates the last line, it does not start a new one
+    let skipLast = true;
+
+    while (pos > 0 && newlines <= lines) {
+      const len = Math.min(TAIL_CHUNK, pos);
+      pos -= len;
+      const buf = Buffer.alloc(len);
+      await fh.read(buf, 0, len, pos);
+      chunks.unshift(buf);
+
+      for (let i = len - 1; i >= 0; i--) {
+        if (buf[i] !== 0x0a) {
+          skipLast = false;
+          continue;
+        }
+        if (skipLast) {
+          skipLast = false;
+          continue;
+        }
+        newlines++;
+        if (newlines === lines) {
+          chunks[0] = buf.subarray(i + 1);
+          return Buffer.concat(chunks);
+        }
+      }
+    }
+
+    return Buffer.concat(chunks);
+  } finally {
+    await fh.close();
+  }
+}
+
+/** Last `lines` lines of a .gz log; it has to be inflated from the start */
+function readGzipTail(filePath, lines) {
+  return new Promise((resolve, reject) => {
+    let kept = [];
+    let partial = "";
+    const input = fs.createReadStream(filePath);
+    const gunzip = zlib.createGunzip();
+    input.on("error", reject);
+    gunzip.on("error", reject);
+    gunzip.setEncoding("utf8");
+    gunzip.on("data", (chunk) => {
+      const parts = (partial + chunk).split("\n");
+      partial = parts.pop();
+      for (const line of parts) kept.push(`${line}\n`);
+      if (kept.length > 2 * lines) kept = kept.slice(-lines);
+    });
+    gunzip.on("end", () => {
+      if (partial) kept.push(partial);
+      resolve(Buffer.from(kept.slice(-lines).join(""), "utf8"));
+    });
+    input.pipe(gunzip);
+  });
+}
+
+/**
+ * Parse a Range header against a file size.
+ * Returns null when absent or not a byte range, { start, end } when satisfiable,
+ * or { unsatisfiable: true }. Multiple ranges are not supported and fall back to the full file.
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!m) return null;
+
+  let start, end;
+  if (m[1] === "" && m[2] === "") return { unsatisfiable: true };
+  if (m[1] === "") {
+    // suffix range: last N bytes
+    const n = Number(m[2]);
+    if (n === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - n);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+module.exports = {
+  readTail,
+  readGzipTail,
+  parseRange,
+};
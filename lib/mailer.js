@@ -0,0 +1,303 @@
+"use strict";
+
+/*
+  E-mail notifications through an SMTP relay (no external dependencies)
+    SMTP_HOST              relay host; notifications are off without it
+    SMTP_PORT              default 465 with SMTP_SECURE, else 25
+    SMTP_SECURE=true       implicit TLS; otherwise STARTTLS is used when the relay offers it
+                           (SMTP_STARTTLS=false turns that off, e.g. for a local test sink)
+    SMTP_USER / SMTP_PASS  AUTH PLAIN or LOGIN, only sent over TLS unless SMTP_ALLOW_PLAIN_AUTH=true
+    SMTP_FROM              sender address (default imapsync@<hostname>)
+    SMTP_TLS_REJECT_UNAUTHORIZED=false  accept self-signed relay certificates
+    SMTP_TIMEOUT_MS        per-conversation timeout (default 30 s)
+
+  jobMessage() builds the plain-text mail sent when a sync job with "notifyEmail" ends.
+*/
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_PORT = Number(process.env.SMTP_PORT || (SMTP_SECURE ? 465 : 25));
+const SMTP_STARTTLS = process.env.SMTP_STARTTLS !== "false";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const SMTP_ALLOW_PLAIN_AUTH = process.env.SMTP_ALLOW_PLAIN_AUTH === "true";
+const SMTP_FROM = process.env.SMTP_FROM || `imapsync@${os.hostname()}`;
+const SMTP_REJECT_UNAUTHORIZED = process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== "false";
+const SMTP_TIMEOUT_MS = Math.max(1000, Number(process.env.SMTP_TIMEOUT_MS || 30000));
+
+const EMAIL_RE = /^[^\s@<>()",;:]+@[^\s@<>()",;:]+\.[^\s@<>()",;:]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+function isConfigured() {
+  return Boolean(SMTP_HOST);
+}
+
+/** Trimmed address, or null for an empty value; throws on a malformed one */
+function validateEmail(value, name = "notifyEmail") {
+  if (value === undefined || value === null || value === "") return null;
+  const email = String(value).trim();
+  if (email.length > MAX_EMAIL_LENGTH || !EMAIL_RE.test(email)) {
+    throw new Error(`${name} must be an e-mail address`);
+  }
+  return email;
+}
+
+/** SMTP replies ({ code, text }) of a socket, one at a time; attach() follows a STARTTLS upgrade */
+function replyReader() {
+  let socket = null;
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  let waiter = null;
+  let failure = null;
+
+  function settle() {
+    if (!waiter) return;
+    const w = waiter;
+    if (replies.length) {
+      waiter = null;
+      w.resolve(replies.shift());
+    } else if (failure) {
+      waiter = null;
+      w.reject(failure);
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, "");
+      buffer = buffer.slice(i + 1);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.map((l) => l.slice(4)).join("\n") });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onError(err) {
+    failure = err;
+    settle();
+  }
+
+  function onClose() {
+    onError(failure || new Error("SMTP connection closed"));
+  }
+
+  return {
+    attach(next) {
+      if (socket) {
+        socket.off("data", onData);
+        socket.off("error", onError);
+        socket.off("close", onClose);
+      }
+      socket = next;
+      socket.on("data", onData);
+      socket.on("error", onError);
+      socket.on("close", onClose);
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiter = { resolve, reject };
+        settle();
+      });
+    },
+  };
+}
+
+function connect() {
+  return new Promise((resolve, reject) => {
+    const options = { host: SMTP_HOST, port: SMTP_PORT };
+    const socket = SMTP_SECURE
+      ? tls.connect({ ...options, servername: SMTP_HOST, rejectUnauthorized: SMTP_REJECT_UNAUTHORIZED })
+      : net.connect(options);
+    socket.once(SMTP_SECURE ? "secureConnect" : "connect", () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket) {
+  return new Promise((resolve, reject) => {
+    // Errors of the plain socket surface on the TLS socket
+    socket.on("error", () => {});
+    const secure = tls.connect({ socket, servername: SMTP_HOST, rejectUnauthorized: SMTP_REJECT_UNAUTHORIZED });
+    secure.once("secureConnect", () => {
+      secure.off("error", reject);
+      resolve(secure);
+    });
+    secure.once("error", reject);
+  });
+}
+
+/** RFC 2047 encoded-word for non-ASCII header values */
+function headerText(value) {
+  const flat = String(value).replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(flat) ? flat : `=?UTF-8?B?${Buffer.from(flat, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ to, subject, text }) {
+  const domain = SMTP_FROM.split("@")[1] || "localhost";
+  const headers = [
+    `From: ${SMTP_FROM}`,
+    `To: ${to}`,
+    `Subject: ${headerText(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString("hex")}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  // CRLF line ends, and a leading dot doubled so a line with a single "." does not end DATA
+  const body = String(text)
+    .split(/\r?\n/)
+    .map((line) => (line.startsWith(".") ? `.${line}` : line));
+  return [...headers, "", ...body].join("\r\n");
+}
+
+/** Send one plain-text mail; resolves when the relay accepted it */
+async function sendMail({ to, subject, text }) {
+  if (!isConfigured()) throw new Error("E-mail notifications are not configured (SMTP_HOST)");
+  const recipient = validateEmail(to, "to");
+
+  let socket = await connect();
+  let secure = SMTP_SECURE;
+  const reader = replyReader();
+  reader.attach(socket);
+  const timer = setTimeout(() => socket.destroy(new Error(`SMTP timeout after ${SMTP_TIMEOUT_MS} ms`)), SMTP_TIMEOUT_MS);
+
+  const expect = async (codes, step) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.text.split("\n")[0]}`);
+    }
+    return reply;
+  };
+  const command = (line, codes, step = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, step);
+  };
+
+  try {
+    await expect([220], "greeting");
+    const helo = os.hostname() || "localhost";
+    let ehlo = await command(`EHLO ${helo}`, [250]);
+
+    if (!secure && SMTP_STARTTLS && /^STARTTLS\b/im.test(ehlo.text)) {
+      await command("STARTTLS", [220]);
+      socket = await upgrade(socket);
+      reader.attach(socket);
+      secure = true;
+      ehlo = await command(`EHLO ${helo}`, [250]);
+    }
+
+    if (SMTP_USER) {
+      if (!secure && !SMTP_ALLOW_PLAIN_AUTH) {
+        throw new Error("SMTP relay does not offer TLS, not sending the password (SMTP_ALLOW_PLAIN_AUTH)");
+      }
+      const b64 = (s) => Buffer.from(s, "utf8").toString("base64");
+      if (/^AUTH\b.*\bPLAIN\b/im.test(ehlo.text)) {
+        await command(`AUTH PLAIN ${b64(`\0${SMTP_USER}\0${SMTP_PASS}`)}`, [235], "AUTH");
+      } else {
+        await command("AUTH LOGIN", [334]);
+        await command(b64(SMTP_USER), [334], "AUTH");
+        await command(b64(SMTP_PASS), [235], "AUTH");
+      }
+    }
+
+    await command(`MAIL FROM:<${SMTP_FROM}>`, [250], "MAIL FROM");
+    await command(`RCPT TO:<${recipient}>`, [250, 251], "RCPT TO");
+    await command("DATA", [354]);
+    await command(`${buildMessage({ to: recipient, subject, text })}\r\n.`, [250], "DATA");
+    socket.write("QUIT\r\n");
+  } finally {
+    clearTimeout(timer);
+    socket.end();
+  }
+}
+
+function formatDuration(ms) {
+  if (typeof ms !== "number") return "-";
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h ? `${h}h ${m}m ${s}s` : m ? `${m}m ${s}s` : `${s}s`;
+}
+
+// Summary fields shown in the mail, as in the completion dialog of the page
+const SUMMARY_LINES = [
+  ["messagesTransferred", "Messages transferred"],
+  ["messagesSkipped", "Messages skipped"],
+  ["bytesTransferred", "Bytes transferred"],
+  ["bytesSkipped", "Bytes skipped"],
+  ["host1Messages", "Messages on source"],
+  ["host2Messages", "Messages on destination"],
+  ["missingOnHost2", "On source but not on destination"],
+  ["errors", "Errors"],
+];
+
+/** Subject and text of the mail for a finished job (job as in GET /jobs/:id) */
+function jobMessage(job, baseUrl) {
+  const pair = `${job.source.user}@${job.source.host} -> ${job.destination.user}@${job.destination.host}`;
+  const errors = job.summary ? job.summary.errors : 0;
+  let status = "completed";
+  if (job.outcome !== "success") status = job.error ? `failed: ${job.error.title}` : `failed (exit code ${job.exitCode})`;
+  else if (errors > 0) status = `completed with ${errors} error(s)`;
+  if (job.verification && !job.verification.passed && job.outcome === "success") status += ", verification failed";
+
+  const lines = [
+    `Sync ${status}`,
+    "",
+    `Source:       ${job.source.user}@${job.source.host}`,
+    `Destination:  ${job.destination.user}@${job.destination.host}`,
+    `Exit code:    ${job.exitCode === null ? "-" : job.exitCode}`,
+    `Started:      ${job.startedAt ? new Date(job.startedAt).toISOString() : "-"}`,
+    `Finished:     ${job.finishedAt ? new Date(job.finishedAt).toISOString() : "-"}`,
+    `Duration:     ${formatDuration(job.durationMs)}`,
+  ];
+  if (job.attempt > 1) lines.push(`Attempts:     ${job.attempt}`);
+  if (job.error && job.outcome !== "success") {
+    lines.push("", `Error: ${job.error.title}`, job.error.hint);
+    if (job.error.line) lines.push(`imapsync: ${job.error.line}`);
+  }
+
+  if (job.summary) {
+    lines.push("", "Summary:");
+    for (const [key, label] of SUMMARY_LINES) {
+      if (typeof job.summary[key] === "number") lines.push(`  ${label}: ${job.summary[key]}`);
+    }
+  } else {
+    lines.push("", "imapsync did not print its statistics.");
+  }
+
+  if (job.verification) {
+    const v = job.verification;
+    lines.push("", `Verification: ${v.passed ? "passed" : "FAILED"} (${v.totals.folders} folder(s), ` +
+      `${v.totals.sourceMessages} message(s) on source, ${v.totals.destinationMessages} on destination)`);
+    if (v.error) lines.push(`  ${v.error}`);
+    for (const f of v.folders.filter((x) => !x.passed)) lines.push(`  ${f.source} -> ${f.destination}: ${f.status}`);
+    lines.push(`Report: ${baseUrl}/jobs/${job.id}/verification?format=csv`);
+  }
+
+  lines.push("", `Job:  ${baseUrl}/?job=${job.id}`, `Log:  ${baseUrl}/jobs/${job.id}/log`);
+  return { subject: `[imapsync] Sync ${status}: ${pair}`, text: lines.join("\n") };
+}
+
+module.exports = {
+  isConfigured,
+  validateEmail,
+  sendMail,
+  jobMessage,
+};
@@ -0,0 +1,111 @@
+"use strict";
+
+/*
+  Prometheus metrics for GET /metrics (text exposition format 0.0.4)
+  Counters and histograms are kept here and updated by the server; gauges are read
+  from the server state by a collect() callback when /metrics is scraped.
+  Values live in memory only and start from zero after a restart.
+*/
+
+const metrics = []; // in registration order
+
+function labelText(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) return "";
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  return Number.isFinite(v) ? String(v) : "NaN";
+}
+
+function register(metric) {
+  if (metrics.some((m) => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  metrics.push(metric);
+  return metric;
+}
+
+/** Monotonic counter, optionally split by labels: inc({ category: "auth" }, 1) */
+function counter(name, help, labelNames = []) {
+  const values = new Map(); // label text -> value
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels, by = 1) {
+      const key = labelText(labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    lines() {
+      if (!values.size) return labelNames.length ? [] : [`${name} 0`];
+      return [...values].map(([key, v]) => `${name}${key} ${formatValue(v)}`);
+    },
+  });
+}
+
+/** Gauge read at scrape time: collect() returns a number or [{ labels, value }] */
+function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    lines() {
+      const result = collect();
+      if (typeof result === "number") return [`${name} ${formatValue(result)}`];
+      return result.map(({ labels, value }) => `${name}${labelText(labels)} ${formatValue(value)}`);
+    },
+  });
+}
+
+/** Histogram with fixed upper bounds (the +Inf bucket is implicit) */
+function histogram(name, help, buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const counts = bounds.map(() => 0);
+  let sum = 0;
+  let count = 0;
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(value) {
+      if (!Number.isFinite(value)) return;
+      bounds.forEach((b, i) => {
+        if (value <= b) counts[i] += 1;
+      });
+      sum += value;
+      count += 1;
+    },
+    lines() {
+      return [
+        ...bounds.map((b, i) => `${name}_bucket{le="${formatValue(b)}"} ${counts[i]}`),
+        `${name}_bucket{le="+Inf"} ${count}`,
+        `${name}_sum ${formatValue(sum)}`,
+        `${name}_count ${count}`,
+      ];
+    },
+  });
+}
+
+/** All metrics in the Prometheus text format */
+function render() {
+  const out = [];
+  for (const m of metrics) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    try {
+      out.push(...m.lines());
+    } catch (err) {
+      console.warn(`Metric ${m.name} failed: ${err.message}`);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = {
+  CONTENT_TYPE: "text/plain; version=0.0.4; charset=utf-8",
+  counter,
+  gauge,
+  histogram,
+  render,
+};
@@ -0,0 +1,380 @@
+"use strict";
+
+/*
+  OAuth2 (XOAUTH2) for Gmail and Microsoft 365 mailboxes
+  - authorization code flow (with PKCE) for interactive users: the refresh token is kept as
+    a "grant" in OAUTH_GRANTS_PATH, encrypted with lib/secrets.js, and owned by the user
+  - service flows for admin batch runs: a Google service account with domain-wide delegation
+    (JWT bearer, impersonating each mailbox) and Microsoft 365 client credentials
+
+  Sync requests name the authentication of each side in auth1 / auth2:
+    { "type": "oauth", "grant": "<grant id>" }        user defaults to the grant's e-mail
+    { "type": "service", "provider": "microsoft" }     admins only
+  Access tokens are fetched (and refreshed) right before imapsync starts and handed to it
+  as a file with --oauthaccesstoken1/2.
+
+  Provider endpoints can be overridden (OAUTH_<PROVIDER>_AUTH_URL / _TOKEN_URL), e.g. to
+  point them at a local mock token endpoint.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { encryptSecret, decryptSecret } = require("./secrets");
+const { LOG_ROOT } = require("./paths");
+
+const GRANTS_PATH = process.env.OAUTH_GRANTS_PATH || path.join(LOG_ROOT, "oauth-grants.json");
+const MS_TENANT = process.env.OAUTH_MICROSOFT_TENANT || "common";
+// Pending authorizations expire after this long
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Refresh access tokens that expire within this margin
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+const TOKEN_REQUEST_TIMEOUT_MS = 15000;
+
+const PROVIDERS = {
+  google: {
+    name: "Google",
+    authUrl: process.env.OAUTH_GOOGLE_AUTH_URL || "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: process.env.OAUTH_GOOGLE_TOKEN_URL || "https://oauth2.googleapis.com/token",
+    clientId: process.env.OAUTH_GOOGLE_CLIENT_ID,
+    clientSecret: process.env.OAUTH_GOOGLE_CLIENT_SECRET,
+    scope: "https://mail.google.com/ openid email",
+    authParams: { access_type: "offline", prompt: "consent" },
+    serviceAccountFile: process.env.OAUTH_GOOGLE_SERVICE_ACCOUNT_FILE,
+  },
+  microsoft: {
+    name: "Microsoft 365",
+    authUrl: process.env.OAUTH_MICROSOFT_AUTH_URL || `https://login.microsoftonline.com/${MS_TENANT}/oauth2/v2.0/authorize`,
+    tokenUrl: process.env.OAUTH_MICROSOFT_TOKEN_URL || `https://login.microsoftonline.com/${MS_TENANT}/oauth2/v2.0/token`,
+    clientId: process.env.OAUTH_MICROSOFT_CLIENT_ID,
+    clientSecret: process.env.OAUTH_MICROSOFT_CLIENT_SECRET,
+    scope: "https://outlook.office.com/IMAP.AccessAsUser.All offline_access openid email",
+    authParams: { prompt: "select_account" },
+    serviceScope: "https://outlook.office365.com/.default",
+  },
+};
+
+let grants = new Map(); // id -> { id, owner, provider, email, credentials, createdAt }
+const pending = new Map(); // state -> { owner, provider, side, verifier, redirectUri, createdAt }
+const tokenCache = new Map(); // grant id | "service:<provider>:<user>" -> { accessToken, expiresAt }
+
+function interactiveReady(p) {
+  return Boolean(p.clientId && p.clientSecret);
+}
+
+function serviceReady(id) {
+  const p = PROVIDERS[id];
+  if (id === "google") return Boolean(p.serviceAccountFile);
+  // Client credentials need the tenant id, "common" only works for interactive sign-in
+  return MS_TENANT !== "common" && interactiveReady(p);
+}
+
+/** Configured providers: [{ id, name, interactive, service }] */
+function listProviders() {
+  return Object.entries(PROVIDERS)
+    .map(([id, p]) => ({ id, name: p.name, interactive: interactiveReady(p), service: serviceReady(id) }))
+    .filter((p) => p.interactive || p.service);
+}
+
+function provider(id) {
+  const p = PROVIDERS[id];
+  if (!p) throw new Error(`Unknown OAuth2 provider: ${id}`);
+  return p;
+}
+
+/** Grants */
+function saveGrants() {
+  fs.mkdirSync(path.dirname(GRANTS_PATH), { recursive: true });
+  const tmp = `${GRANTS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...grants.values()], null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, GRANTS_PATH);
+}
+
+function loadGrants() {
+  let list = [];
+  try {
+    list = JSON.parse(fs.readFileSync(GRANTS_PATH, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Failed to read OAuth2 grants from ${GRANTS_PATH}: ${e.message}`);
+  }
+  grants = new Map(list.map((g) => [g.id, g]));
+}
+
+function publicGrant(grant) {
+  const { credentials, ...rest } = grant;
+  return rest;
+}
+
+function listGrants() {
+  return [...grants.values()];
+}
+
+function getGrant(id) {
+  return grants.get(id) || null;
+}
+
+function deleteGrant(id) {
+  if (!grants.delete(id)) return false;
+  tokenCache.delete(id);
+  saveGrants();
+  return true;
+}
+
+/** Token endpoint */
+function base64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+async function tokenRequest(p, params) {
+  let response;
+  try {
+    response = await fetch(p.tokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(TOKEN_REQUEST_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw new Error(`${p.name} token endpoint is not reachable: ${err.message}`);
+  }
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (_) {
+    // error pages are not JSON
+  }
+  if (!response.ok || !data.access_token) {
+    const reason = data.error_description || data.error || `HTTP ${response.status}`;
+    throw new Error(`${p.name} token request failed: ${reason}`);
+  }
+  return data;
+}
+
+function cacheToken(key, data) {
+  const entry = { accessToken: data.access_token, expiresAt: Date.now() + Number(data.expires_in || 3600) * 1000 };
+  tokenCache.set(key, entry);
+  return entry.accessToken;
+}
+
+function cachedToken(key) {
+  const entry = tokenCache.get(key);
+  return entry && entry.expiresAt - EXPIRY_MARGIN_MS > Date.now() ? entry.accessToken : null;
+}
+
+/** E-mail of the signed-in account, from the id_token of the token response */
+function idTokenEmail(idToken) {
+  try {
+    const claims = JSON.parse(Buffer.from(String(idToken).split(".")[1], "base64url").toString("utf8"));
+    return claims.email || claims.preferred_username || claims.upn || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Authorization code flow */
+function authorizationUrl(providerId, { owner, side, redirectUri }) {
+  const p = provider(providerId);
+  if (!interactiveReady(p)) throw new Error(`${p.name} sign-in is not configured on this server`);
+
+  const now = Date.now();
+  for (const [state, entry] of pending) {
+    if (now - entry.createdAt > STATE_TTL_MS) pending.delete(state);
+  }
+
+  const state = crypto.randomBytes(16).toString("hex");
+  const verifier = base64url(crypto.randomBytes(32));
+  pending.set(state, { owner, provider: providerId, side, verifier, redirectUri, createdAt: now });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: p.clientId,
+    redirect_uri: redirectUri,
+    scope: p.scope,
+    state,
+    code_challenge: base64url(crypto.createHash("sha256").update(verifier).digest()),
+    code_challenge_method: "S256",
+    ...p.authParams,
+  });
+  return `${p.authUrl}?${params}`;
+}
+
+/**
+ * Exchange the code of a callback for tokens and store the grant.
+ * Returns { grant, side }; throws when the state is unknown, expired or belongs to another user.
+ */
+async function completeAuthorization({ state, code, owner }) {
+  const entry = pending.get(String(state || ""));
+  pending.delete(String(state || ""));
+  if (!entry || entry.owner !== owner || Date.now() - entry.createdAt > STATE_TTL_MS) {
+    throw new Error("The sign-in request expired or is unknown, please try again");
+  }
+  if (!code) throw new Error("The provider did not return an authorization code");
+
+  const p = provider(entry.provider);
+  const data = await tokenRequest(p, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: entry.redirectUri,
+    client_id: p.clientId,
+    client_secret: p.clientSecret,
+    code_verifier: entry.verifier,
+  });
+  if (!data.refresh_token) throw new Error(`${p.name} did not return a refresh token`);
+
+  const grant = {
+    id: crypto.randomBytes(12).toString("hex"),
+    owner,
+    provider: entry.provider,
+    email: idTokenEmail(data.id_token),
+    credentials: encryptSecret({ refreshToken: data.refresh_token }),
+    createdAt: Date.now(),
+  };
+  grants.set(grant.id, grant);
+  saveGrants();
+  cacheToken(grant.id, data);
+  return { grant, side: entry.side };
+}
+
+async function grantToken(grant) {
+  const cached = cachedToken(grant.id);
+  if (cached) return cached;
+
+  const p = provider(grant.provider);
+  const { refreshToken } = decryptSecret(grant.credentials);
+  const data = await tokenRequest(p, {
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+    client_id: p.clientId,
+    client_secret: p.clientSecret,
+    scope: p.scope,
+  });
+  // Microsoft rotates refresh tokens
+  if (data.refresh_token && data.refresh_token !== refreshToken) {
+    grant.credentials = encryptSecret({ refreshToken: data.refresh_token });
+    saveGrants();
+  }
+  return cacheToken(grant.id, data);
+}
+
+/** Service flows */
+let serviceAccount = null;
+
+function googleServiceAccount() {
+  if (!serviceAccount) {
+    const file = PROVIDERS.google.serviceAccountFile;
+    try {
+      serviceAccount = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`Failed to read the Google service account key ${file}: ${e.message}`);
+    }
+  }
+  return serviceAccount;
+}
+
+async function serviceToken(providerId, user) {
+  const key = providerId === "google" ? `service:google:${user}` : `service:${providerId}`;
+  const cached = cachedToken(key);
+  if (cached) return cached;
+
+  const p = provider(providerId);
+  if (providerId === "google") {
+    // JWT bearer grant, impersonating the mailbox (domain-wide delegation)
+    const account = googleServiceAccount();
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+    const claims = base64url(JSON.stringify({
+      iss: account.client_email,
+      sub: user,
+      scope: "https://mail.google.com/",
+      aud: p.tokenUrl,
+      iat: now,
+      exp: now + 3600,
+    }));
+    const signature = crypto.createSign("RSA-SHA256").update(`${header}.${claims}`).sign(account.private_key);
+    const data = await tokenRequest(p, {
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion: `${header}.${claims}.${base64url(signature)}`,
+    });
+    return cacheToken(key, data);
+  }
+
+  const data = await tokenRequest(p, {
+    grant_type: "client_credentials",
+    client_id: p.clientId,
+    client_secret: p.clientSecret,
+    scope: p.serviceScope,
+  });
+  return cacheToken(key, data);
+}
+
+/** Sync requests */
+function usesOAuth(payload) {
+  return Boolean(payload && (payload.auth1 || payload.auth2));
+}
+
+/**
+ * Check auth1 / auth2 of a request for a user ({ username, role }) and fill in the user
+ * of grant-based sides. Returns the new payload; throws on unknown or foreign grants.
+ */
+function validateAuth(payload, user) {
+  if (!usesOAuth(payload)) return payload;
+  const out = { ...payload };
+
+  for (const n of [1, 2]) {
+    const auth = out[`auth${n}`];
+    if (!auth) continue;
+    if (typeof auth !== "object" || Array.isArray(auth)) throw new Error(`auth${n} must be an object`);
+
+    if (auth.type === "oauth") {
+      const grant = grants.get(String(auth.grant || ""));
+      if (!grant || (grant.owner !== user.username && user.role !== "admin")) {
+        throw new Error(`auth${n}: OAuth2 sign-in not found, please sign in again`);
+      }
+      if (!out[`user${n}`]) out[`user${n}`] = grant.email;
+      out[`auth${n}`] = { type: "oauth", grant: grant.id };
+    } else if (auth.type === "service") {
+      if (user.role !== "admin") throw new Error(`auth${n}: service accounts are for admins only`);
+      if (!PROVIDERS[auth.provider] || !serviceReady(auth.provider)) {
+        throw new Error(`auth${n}: ${auth.provider} service access is not configured on this server`);
+      }
+      out[`auth${n}`] = { type: "service", provider: auth.provider };
+    } else {
+      throw new Error(`auth${n}.type must be "oauth" or "service"`);
+    }
+    // The token replaces the password
+    delete out[`pass${n}`];
+  }
+  return out;
+}
+
+/** Payload with fresh access tokens (token1 / token2) for the sides that use OAuth2 */
+async function resolveAccessTokens(payload) {
+  const out = { ...payload };
+  for (const n of [1, 2]) {
+    const auth = out[`auth${n}`];
+    if (!auth) continue;
+    if (auth.type === "oauth") {
+      const grant = grants.get(auth.grant);
+      if (!grant) throw new Error(`auth${n}: OAuth2 sign-in was removed`);
+      out[`token${n}`] = await grantToken(grant);
+    } else {
+      out[`token${n}`] = await serviceToken(auth.provider, out[`user${n}`]);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  listProviders,
+  loadGrants,
+  listGrants,
+  getGrant,
+  deleteGrant,
+  publicGrant,
+  authorizationUrl,
+  completeAuthorization,
+  usesOAuth,
+  validateAuth,
+  resolveAccessTokens,
+};
@@ -0,0 +1,180 @@
+"use strict";
+
+/*
+  imapsync options accepted in the "options" object of /sync, /check-sync, /batch, /check
+  Only the options listed in OPTION_SCHEMA are allowed; each one is type-checked and
+  mapped to its imapsync flag.
+
+  Rate limits (group "limits") are not passed as they are: lib/throttle.js merges them with
+  the policy of the source host and the job runs with limitArgs() of the result.
+
+  Regex options are Perl regexes evaluated by imapsync, so code constructs like (?{ })
+  are refused and --regextrans2 must be a plain s/// substitution without the /e modifier.
+*/
+
+const MAX_LIST_ITEMS = 50;
+const MAX_STRING_LENGTH = 500;
+const AUTH_MECHANISMS = ["PLAIN", "LOGIN", "CRAM-MD5"];
+
+const OPTION_SCHEMA = {
+  // connection (also used for credential checks)
+  tls1: { type: "boolean", group: "connection" }, // --tls1 instead of --ssl1
+  tls2: { type: "boolean", group: "connection" }, // --tls2 instead of --ssl2
+  port1: { type: "integer", min: 1, max: 65535, flag: "--port1", group: "connection" },
+  port2: { type: "integer", min: 1, max: 65535, flag: "--port2", group: "connection" },
+  authmech1: { type: "enum", values: AUTH_MECHANISMS, flag: "--authmech1", group: "connection" },
+  authmech2: { type: "enum", values: AUTH_MECHANISMS, flag: "--authmech2", group: "connection" },
+
+  // what to sync
+  folder: { type: "list", flag: "--folder", group: "sync" },
+  include: { type: "list", regex: true, flag: "--include", group: "sync" },
+  exclude: { type: "list", regex: true, flag: "--exclude", group: "sync" },
+  maxage: { type: "number", min: 0, flag: "--maxage", group: "sync" },
+  minage: { type: "number", min: 0, flag: "--minage", group: "sync" },
+  maxsize: { type: "integer", min: 1, flag: "--maxsize", group: "sync" },
+
+  // destination layout
+  delete2: { type: "boolean", flag: "--delete2", group: "sync" },
+  subfolder2: { type: "string", flag: "--subfolder2", group: "sync" },
+  regextrans2: { type: "list", regextrans: true, flag: "--regextrans2", group: "sync" },
+
+  // rate limits
+  maxbytespersecond: { type: "integer", min: 1, flag: "--maxbytespersecond", group: "limits" },
+  maxmessagespersecond: { type: "number", min: 0.01, flag: "--maxmessagespersecond", group: "limits" },
+  maxbytesafter: { type: "integer", min: 1, flag: "--maxbytesafter", group: "limits" }, // throttle only after this much
+};
+
+const LIMIT_OPTIONS = Object.keys(OPTION_SCHEMA).filter((name) => OPTION_SCHEMA[name].group === "limits");
+
+// Perl code execution inside a regex: (?{ ... }) and (??{ ... })
+const RE_PERL_CODE = /\(\?\??\{/;
+// s/pattern/replacement/flags with any delimiter, no "e" (eval) modifier
+const RE_SUBSTITUTION = /^s(\W)(?:(?!\1)[^\\]|\\.)*\1(?:(?!\1)[^\\]|\\.)*\1[gimsx]*$/;
+
+function checkString(name, value) {
+  if (typeof value !== "string") return `${name} must be a string`;
+  if (!value.length) return `${name} must not be empty`;
+  if (value.length > MAX_STRING_LENGTH) return `${name} is longer than ${MAX_STRING_LENGTH} characters`;
+  if (/[\0\r\n]/.test(value)) return `${name} must be a single line`;
+  return null;
+}
+
+function checkValue(name, spec, value) {
+  switch (spec.type) {
+    case "boolean":
+      if (typeof value !== "boolean") return `${name} must be true or false`;
+      return null;
+
+    case "integer":
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) return `${name} must be a number`;
+      if (spec.type === "integer" && !Number.isInteger(value)) return `${name} must be an integer`;
+      if (spec.min !== undefined && value < spec.min) return `${name} must be >= ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `${name} must be <= ${spec.max}`;
+      return null;
+    }
+
+    case "string":
+      return checkString(name, value);
+
+    case "enum":
+      if (!spec.values.includes(value)) return `${name} must be one of ${spec.values.join(", ")}`;
+      return null;
+
+    case "list": {
+      if (!Array.isArray(value)) return `${name} must be a list of strings`;
+      if (value.length > MAX_LIST_ITEMS) return `${name} accepts at most ${MAX_LIST_ITEMS} entries`;
+      for (const item of value) {
+        const err = checkString(name, item);
+        if (err) return err;
+        if ((spec.regex || spec.regextrans) && RE_PERL_CODE.test(item)) {
+          return `${name}: Perl code in regexes is not allowed`;
+        }
+        if (spec.regextrans && !RE_SUBSTITUTION.test(item)) {
+          return `${name} must be a substitution like s/old/new/ (modifiers g, i, m, s, x only)`;
+        }
+      }
+      return null;
+    }
+
+    default:
+      return `${name} has an unknown type`;
+  }
+}
+
+/**
+ * Validate the "options" object of a request.
+ * Returns the normalized options; throws an Error listing every problem.
+ */
+function validateOptions(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("options must be an object");
+  }
+
+  const errors = [];
+  const options = {};
+  for (const [name, value] of Object.entries(input)) {
+    const spec = OPTION_SCHEMA[name];
+    if (!spec) {
+      errors.push(`Unknown option: ${name}`);
+      continue;
+    }
+    // Empty values from the form mean "not set"
+    if (value === null || value === "" || value === false || (Array.isArray(value) && !value.length)) continue;
+
+    const err = checkValue(name, spec, value);
+    if (err) errors.push(err);
+    else options[name] = value;
+  }
+
+  if (options.maxage !== undefined && options.minage !== undefined && options.minage >= options.maxage) {
+    errors.push("minage must be smaller than maxage");
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid options: ${errors.join("; ")}`);
+  }
+  return options;
+}
+
+function flagsFor(group, options) {
+  const args = [];
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    if (spec.group !== group || !spec.flag || options[name] === undefined) continue;
+    const value = options[name];
+    if (spec.type === "boolean") args.push(spec.flag);
+    else if (spec.type === "list") for (const item of value) args.push(spec.flag, item);
+    else args.push(spec.flag, String(value));
+  }
+  return args;
+}
+
+/** Connection flags: --ssl/--tls per side and custom ports */
+function connectionArgs(options = {}) {
+  return [
+    options.tls1 ? "--tls1" : "--ssl1",
+    options.tls2 ? "--tls2" : "--ssl2",
+    ...flagsFor("connection", options),
+  ];
+}
+
+/** Flags that only matter for an actual sync */
+function syncArgs(options = {}) {
+  return flagsFor("sync", options);
+}
+
+/** --maxbytespersecond, --maxmessagespersecond and --maxbytesafter of the effective limits */
+function limitArgs(limits = {}) {
+  return flagsFor("limits", limits);
+}
+
+module.exports = {
+  OPTION_SCHEMA,
+  AUTH_MECHANISMS,
+  LIMIT_OPTIONS,
+  validateOptions,
+  connectionArgs,
+  syncArgs,
+  limitArgs,
+};
@@ -0,0 +1,14 @@
+"use strict";
+
+/*
+  Where the server keeps its files
+  LOG_ROOT (default /tmp/logs) holds the per-mailbox job logs. The JSON stores of lib/ (jobs,
+  users, schedules, profiles, OAuth2 grants, webhooks, throttle rules) default to files in it;
+  each can be moved with its own *_PATH setting.
+*/
+
+const LOG_ROOT = process.env.LOG_ROOT || "/tmp/logs";
+
+module.exports = {
+  LOG_ROOT,
+};
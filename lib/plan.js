@@ -0,0 +1,114 @@
+"use strict";
+
+/*
+  Migration plan: parse the output of imapsync --dry --justfolders (folder sizes included)
+  into a per-folder report
+    source folder -> destination folder, messages and bytes on each side,
+    whether the folder will be created on host2
+*/
+
+const { toCsv } = require("./csv");
+
+// "Host1 folder    1/7 [INBOX]      Size:    123456 Messages:    42 Biggest:   1234"
+const reFolderSize = /^Host([12])\s+folder\s+\d+\/\d+\s+\[(.*)\]\s+Size:\s+(\d+)\s+Messages:\s+(\d+)/i;
+// "Host2 folder    3/7 [Archive] does not exist yet"
+const reFolderMissing = /^Host2\s+folder\s+\d+\/\d+\s+\[(.*)\]\s+does not exist/i;
+// "Folder    1/7 [INBOX.Sent]     -> [Sent]"
+const reFolderMapping = /^Folder\s+\d+\/\d+\s+\[(.*?)\]\s+->\s+\[(.*)\]/i;
+// "Creating folder [Archive] on host2"
+const reFolderCreate = /^Creat(?:ing|ed)\s+folder\s+\[(.*?)\]\s+on\s+host2/i;
+
+const CSV_COLUMNS = [
+  ["source", "source_folder"],
+  ["destination", "destination_folder"],
+  ["sourceMessages", "source_messages"],
+  ["sourceBytes", "source_bytes"],
+  ["destinationMessages", "destination_messages"],
+  ["destinationBytes", "destination_bytes"],
+  ["willCreate", "will_create"],
+];
+
+/**
+ * Line parser for a plan run.
+ * Returns { onLine(line), report(meta) }; report() can be called at any time.
+ */
+function createPlanParser() {
+  const host1 = new Map(); // source folder -> { messages, bytes }
+  const host2 = new Map(); // destination folder -> { messages, bytes }
+  const missing = new Set(); // destination folders not on host2
+  const created = new Set(); // destination folders imapsync would create
+  const mapping = new Map(); // source folder -> destination folder
+
+  function onLine(raw) {
+    const line = String(raw).trim();
+
+    let m = line.match(reFolderSize);
+    if (m) {
+      (m[1] === "1" ? host1 : host2).set(m[2], { bytes: Number(m[3]), messages: Number(m[4]) });
+      return;
+    }
+
+    m = line.match(reFolderMissing);
+    if (m) {
+      missing.add(m[1]);
+      return;
+    }
+
+    m = line.match(reFolderMapping);
+    if (m) {
+      mapping.set(m[1], m[2]);
+      return;
+    }
+
+    m = line.match(reFolderCreate);
+    if (m) created.add(m[1]);
+  }
+
+  function report(meta = {}) {
+    const names = [...new Set([...host1.keys(), ...mapping.keys()])];
+    const folders = names.map((source) => {
+      const destination = mapping.get(source) || source;
+      const src = host1.get(source);
+      const dst = host2.get(destination);
+      return {
+        source,
+        destination,
+        sourceMessages: src ? src.messages : null,
+        sourceBytes: src ? src.bytes : null,
+        destinationMessages: dst ? dst.messages : missing.has(destination) ? 0 : null,
+        destinationBytes: dst ? dst.bytes : missing.has(destination) ? 0 : null,
+        willCreate: created.has(destination) || (missing.has(destination) && !dst),
+      };
+    });
+
+    const sum = (key) => folders.reduce((n, f) => n + (f[key] || 0), 0);
+    return {
+      ...meta,
+      generatedAt: Date.now(),
+      folders,
+      totals: {
+        folders: folders.length,
+        foldersToCreate: folders.filter((f) => f.willCreate).length,
+        sourceMessages: sum("sourceMessages"),
+        sourceBytes: sum("sourceBytes"),
+        destinationMessages: sum("destinationMessages"),
+        destinationBytes: sum("destinationBytes"),
+      },
+    };
+  }
+
+  return { onLine, report };
+}
+
+/** One CSV row per folder */
+function planToCsv(report) {
+  return toCsv(
+    CSV_COLUMNS.map(([, title]) => title),
+    report.folders.map((folder) => CSV_COLUMNS.map(([key]) => folder[key]))
+  );
+}
+
+module.exports = {
+  createPlanParser,
+  planToCsv,
+};
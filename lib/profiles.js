@@ -0,0 +1,187 @@
+"use strict";
+
+/*
+  Connection profiles
+  A profile is a named IMAP server ("Company Exchange": host, port, SSL or STARTTLS,
+  nosslcheck, auth mechanism), optionally with a saved account (user and password).
+  Profiles are stored in PROFILES_PATH (mode 0600); saved passwords are encrypted with the
+  server key of lib/secrets.js (SECRETS_KEY).
+
+  /sync, /check-sync and /plan accept profile1 / profile2 (profile ids) instead of the
+  raw host, user, password and connection fields. A profile only fills what the request leaves
+  empty: fields sent with the request win, and the saved password is used only when host and
+  user are the profile's own.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { encryptSecret, decryptSecret } = require("./secrets");
+const { AUTH_MECHANISMS } = require("./options");
+const { LOG_ROOT } = require("./paths");
+
+const PROFILES_PATH = process.env.PROFILES_PATH || path.join(LOG_ROOT, "profiles.json");
+const SECURITY_MODES = ["ssl", "starttls"];
+const MAX_NAME_LENGTH = 100;
+const MAX_FIELD_LENGTH = 255;
+
+let profiles = new Map(); // id -> stored profile
+
+function saveProfiles() {
+  fs.mkdirSync(path.dirname(PROFILES_PATH), { recursive: true });
+  const tmp = `${PROFILES_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...profiles.values()], null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, PROFILES_PATH);
+}
+
+function loadProfiles() {
+  let list = [];
+  try {
+    list = JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Failed to read profiles from ${PROFILES_PATH}: ${e.message}`);
+  }
+  profiles = new Map(list.map((p) => [p.id, p]));
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Validate a create (existing = undefined) or update request.
+ * Returns the fields to store, the password already encrypted; throws on bad input.
+ * An empty user removes the saved account, password: "" removes only the password.
+ */
+function validateProfile(input, existing) {
+  const body = input || {};
+  const has = (name) => body[name] !== undefined;
+  const fields = {};
+  const errors = [];
+
+  if (!existing || has("name")) {
+    fields.name = text(body.name);
+    if (!fields.name || fields.name.length > MAX_NAME_LENGTH) errors.push(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+  }
+  if (!existing || has("host")) {
+    fields.host = text(body.host);
+    if (!/^[a-zA-Z0-9.:[\]_-]{1,255}$/.test(fields.host)) errors.push("host must be a host name or an IP address");
+  }
+  if (!existing || has("port")) {
+    const port = body.port === "" || body.port === null || body.port === undefined ? null : Number(body.port);
+    if (port !== null && !(Number.isInteger(port) && port >= 1 && port <= 65535)) errors.push("port must be from 1 to 65535");
+    fields.port = port;
+  }
+  if (!existing || has("security")) {
+    fields.security = body.security || "ssl";
+    if (!SECURITY_MODES.includes(fields.security)) errors.push(`security must be one of ${SECURITY_MODES.join(", ")}`);
+  }
+  if (!existing || has("authmech")) {
+    fields.authmech = body.authmech || null;
+    if (fields.authmech && !AUTH_MECHANISMS.includes(fields.authmech)) errors.push(`authmech must be one of ${AUTH_MECHANISMS.join(", ")}`);
+  }
+  if (!existing || has("nosslcheck")) fields.nosslcheck = body.nosslcheck === true;
+
+  if (!existing || has("user")) {
+    fields.user = text(body.user) || null;
+    if (fields.user && fields.user.length > MAX_FIELD_LENGTH) errors.push(`user is longer than ${MAX_FIELD_LENGTH} characters`);
+  }
+  const user = has("user") ? fields.user : existing && existing.user;
+  if (has("password")) {
+    if (body.password && !user) errors.push("a saved password needs a user");
+    fields.credentials = body.password && user ? encryptSecret({ password: String(body.password) }) : null;
+  } else if (!existing || user !== existing.user) {
+    // The saved password belongs to the previous user
+    fields.credentials = null;
+  }
+
+  if (errors.length) throw new Error(`Invalid profile: ${errors.join("; ")}`);
+  return fields;
+}
+
+function createProfile(input, owner) {
+  const now = Date.now();
+  const profile = {
+    id: crypto.randomBytes(12).toString("hex"),
+    owner,
+    createdAt: now,
+    updatedAt: now,
+    ...validateProfile(input),
+  };
+  profiles.set(profile.id, profile);
+  saveProfiles();
+  return profile;
+}
+
+function updateProfile(profile, input) {
+  Object.assign(profile, validateProfile(input, profile), { updatedAt: Date.now() });
+  saveProfiles();
+  return profile;
+}
+
+function deleteProfile(id) {
+  if (!profiles.delete(id)) return false;
+  saveProfiles();
+  return true;
+}
+
+function getProfile(id) {
+  return profiles.get(id) || null;
+}
+
+function listProfiles() {
+  return [...profiles.values()];
+}
+
+/** Profile as returned by the API: hasPassword instead of the credentials */
+function publicProfile(profile) {
+  const { credentials, ...rest } = profile;
+  return { ...rest, hasPassword: Boolean(credentials) };
+}
+
+/**
+ * Request body with profile1 / profile2 replaced by the fields of those profiles.
+ * canUse(profile) tells whether the requesting user may use a profile.
+ * The saved password is only used for the profile's own host and user.
+ */
+function resolveProfiles(body, canUse) {
+  const payload = { ...(body || {}) };
+  if (!payload.profile1 && !payload.profile2) return payload;
+
+  const options = { ...(payload.options || {}) };
+  for (const n of [1, 2]) {
+    const id = payload[`profile${n}`];
+    delete payload[`profile${n}`];
+    if (!id) continue;
+
+    const profile = profiles.get(String(id));
+    if (!profile || !canUse(profile)) throw new Error(`Profile ${id} not found`);
+
+    const host = text(payload[`host${n}`]) || profile.host;
+    payload[`host${n}`] = host;
+    const user = text(payload[`user${n}`]) || profile.user;
+    payload[`user${n}`] = user;
+    // The saved password only goes to the profile's own account on its own server
+    if (!payload[`pass${n}`] && profile.credentials && host === profile.host && user === profile.user) {
+      payload[`pass${n}`] = decryptSecret(profile.credentials).password;
+    }
+
+    if (profile.port && options[`port${n}`] === undefined) options[`port${n}`] = profile.port;
+    if (profile.security === "starttls" && options[`tls${n}`] === undefined) options[`tls${n}`] = true;
+    if (profile.authmech && options[`authmech${n}`] === undefined) options[`authmech${n}`] = profile.authmech;
+    if (profile.nosslcheck && payload.nosslcheck === undefined) payload.nosslcheck = true;
+  }
+  payload.options = options;
+  return payload;
+}
+
+module.exports = {
+  loadProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  getProfile,
+  listProfiles,
+  publicProfile,
+  resolveProfiles,
+};
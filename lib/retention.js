@@ -0,0 +1,222 @@
+"use strict";
+
+/*
+  Retention: how long finished jobs and their logs are kept
+  Jobs in memory (swept by sweepJobs in index.js):
+    JOB_RELEASE_AFTER_MS     finished sync jobs drop their replay buffer and folder table after
+                             this long (default 1 h); a reconnecting client then gets the log from disk
+    CHECK_JOB_TTL_MS         finished credential checks are forgotten after this long (default 15 min)
+    PLAN_JOB_TTL_MS          finished dry-run plans, with their report, after this long (default 24 h)
+    JOB_RETENTION_DAYS       finished sync jobs and batches leave the history and the job store
+                             (default 90, 0 = keep forever)
+  Logs under LOG_ROOT (lib/paths.js; only *.log and *.log.gz in the per-mailbox directories,
+  the stores next to them are never touched):
+    LOG_COMPRESS_AFTER_DAYS  gzip logs not written to for this long (default 7, 0 = never)
+    LOG_MAX_AGE_DAYS         delete logs older than this (default 90, 0 = keep)
+    LOG_MAX_TOTAL_MB         then delete the oldest logs until the tree is below this size
+                             (default 0 = no limit)
+  Logs of queued, running, paused, verifying or retrying jobs are never compressed or deleted.
+  The sweeper runs every RETENTION_SWEEP_INTERVAL_MS (default 1 h).
+*/
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+const { LOG_ROOT } = require("./paths");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name] === undefined ? fallback : process.env[name]);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`${name} must be a number >= 0`);
+  return value;
+}
+
+const RETENTION = {
+  sweepIntervalMs: Math.max(60 * 1000, envNumber("RETENTION_SWEEP_INTERVAL_MS", 60 * 60 * 1000)),
+  jobReleaseAfterMs: envNumber("JOB_RELEASE_AFTER_MS", 60 * 60 * 1000),
+  checkJobTtlMs: envNumber("CHECK_JOB_TTL_MS", 15 * 60 * 1000),
+  planJobTtlMs: envNumber("PLAN_JOB_TTL_MS", DAY_MS),
+  jobRetentionMs: envNumber("JOB_RETENTION_DAYS", 90) * DAY_MS,
+  logCompressAfterMs: envNumber("LOG_COMPRESS_AFTER_DAYS", 7) * DAY_MS,
+  logMaxAgeMs: envNumber("LOG_MAX_AGE_DAYS", 90) * DAY_MS,
+  logMaxTotalBytes: envNumber("LOG_MAX_TOTAL_MB", 0) * 1024 * 1024,
+};
+
+const LOG_FILE_RE = /\.log(\.gz)?$/;
+
+/** Log files of the per-mailbox directories: [{ path, size, mtimeMs, compressed }] */
+async function scanLogs(root = LOG_ROOT) {
+  let dirs;
+  try {
+    dirs = await fs.promises.readdir(root, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+
+  const files = [];
+  for (const dir of dirs) {
+    if (!dir.isDirectory()) continue;
+    const dirPath = path.join(root, dir.name);
+    let names = [];
+    try {
+      names = await fs.promises.readdir(dirPath);
+    } catch (_) {
+      continue; // removed meanwhile
+    }
+    for (const name of names) {
+      if (!LOG_FILE_RE.test(name)) continue;
+      const filePath = path.join(dirPath, name);
+      try {
+        const stat = await fs.promises.stat(filePath);
+        if (!stat.isFile()) continue;
+        files.push({ path: filePath, size: stat.size, mtimeMs: stat.mtimeMs, compressed: name.endsWith(".gz") });
+      } catch (_) {
+        // removed meanwhile
+      }
+    }
+  }
+  return files;
+}
+
+function usage(files) {
+  return {
+    files: files.length,
+    bytes: files.reduce((sum, f) => sum + f.size, 0),
+    compressedFiles: files.filter((f) => f.compressed).length,
+    oldestAt: files.length ? Math.min(...files.map((f) => f.mtimeMs)) : null,
+  };
+}
+
+/** Oldest logs to delete so the kept ones fit in LOG_MAX_TOTAL_MB */
+function overSizeLimit(files, protectedPaths) {
+  if (!RETENTION.logMaxTotalBytes) return [];
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  const remove = [];
+  const candidates = files.filter((f) => !protectedPaths.has(f.path)).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const f of candidates) {
+    if (total <= RETENTION.logMaxTotalBytes) break;
+    remove.push({ ...f, reason: "size" });
+    total -= f.size;
+  }
+  return remove;
+}
+
+/**
+ * What a sweep would do with these logs: { remove: [file + reason], compress: [file] }.
+ * The size limit is estimated from the current (not yet compressed) sizes.
+ */
+function planLogCleanup(files, protectedPaths, now = Date.now()) {
+  const remove = [];
+  const compress = [];
+  const kept = [];
+  for (const f of files) {
+    const age = now - f.mtimeMs;
+    if (protectedPaths.has(f.path)) {
+      kept.push(f);
+    } else if (RETENTION.logMaxAgeMs && age > RETENTION.logMaxAgeMs) {
+      remove.push({ ...f, reason: "age" });
+    } else {
+      kept.push(f);
+      if (RETENTION.logCompressAfterMs && !f.compressed && age > RETENTION.logCompressAfterMs) compress.push(f);
+    }
+  }
+  const bySize = overSizeLimit(kept, protectedPaths);
+  const removedBySize = new Set(bySize.map((f) => f.path));
+  return {
+    remove: [...remove, ...bySize],
+    compress: compress.filter((f) => !removedBySize.has(f.path)),
+  };
+}
+
+/** gzip a log next to itself (same mtime), then delete the original; returns the .gz path */
+async function compressLog(filePath) {
+  const target = `${filePath}.gz`;
+  const tmp = `${target}.tmp`;
+  const { mtime, atime } = await fs.promises.stat(filePath);
+  try {
+    await pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tmp));
+    await fs.promises.utimes(tmp, atime, mtime);
+    await fs.promises.rename(tmp, target);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+  await fs.promises.unlink(filePath);
+  return target;
+}
+
+async function removeEmptyDirs(dirs) {
+  let removed = 0;
+  for (const dir of dirs) {
+    try {
+      await fs.promises.rmdir(dir);
+      removed += 1;
+    } catch (_) {
+      // not empty
+    }
+  }
+  return removed;
+}
+
+/**
+ * Compress, age out and size-limit the log tree.
+ * protectedPaths: logs of active jobs. Returns
+ * { removed: [{ path, reason }], compressed: [{ from, to }], freedBytes, removedDirs, errors, usage }.
+ */
+async function sweepLogs(protectedPaths, now = Date.now()) {
+  const result = { removed: [], compressed: [], freedBytes: 0, removedDirs: 0, errors: [] };
+  const touchedDirs = new Set();
+
+  const remove = async (f) => {
+    try {
+      await fs.promises.unlink(f.path);
+      result.removed.push({ path: f.path, reason: f.reason });
+      result.freedBytes += f.size;
+      touchedDirs.add(path.dirname(f.path));
+    } catch (err) {
+      if (err.code !== "ENOENT") result.errors.push(`${f.path}: ${err.message}`);
+    }
+  };
+
+  const plan = planLogCleanup(await scanLogs(), protectedPaths, now);
+  for (const f of plan.remove.filter((x) => x.reason === "age")) await remove(f);
+  for (const f of plan.compress) {
+    try {
+      const to = await compressLog(f.path);
+      const { size } = await fs.promises.stat(to);
+      result.compressed.push({ from: f.path, to });
+      result.freedBytes += f.size - size;
+    } catch (err) {
+      result.errors.push(`${f.path}: ${err.message}`);
+    }
+  }
+
+  // The size limit is checked against the real sizes after compression
+  const files = await scanLogs();
+  for (const f of overSizeLimit(files, protectedPaths)) await remove(f);
+
+  result.removedDirs = await removeEmptyDirs(touchedDirs);
+  result.usage = usage(await scanLogs());
+  return result;
+}
+
+/** Report for GET /admin/retention: current usage and what the next sweep would do */
+async function logReport(protectedPaths, now = Date.now()) {
+  const files = await scanLogs();
+  const plan = planLogCleanup(files, protectedPaths, now);
+  return {
+    ...usage(files),
+    wouldRemove: plan.remove.length,
+    wouldRemoveBytes: plan.remove.reduce((sum, f) => sum + f.size, 0),
+    wouldCompress: plan.compress.length,
+  };
+}
+
+module.exports = {
+  RETENTION,
+  sweepLogs,
+  logReport,
+};
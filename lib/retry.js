@@ -0,0 +1,88 @@
+"use strict";
+
+/*
+  Retry policy for sync jobs, from the "retry" object of /sync and /batch:
+    { maxAttempts: 3, backoffSeconds: 60, categories: ["connect", "timeout"] }
+  Missing fields come from RETRY_MAX_ATTEMPTS, RETRY_BACKOFF_SECONDS and RETRY_CATEGORIES.
+  A failed attempt is retried when its error category (lib/errors.js) is in the list;
+  the delay doubles after every attempt (backoffSeconds, 2x, 4x, ... at most one hour).
+*/
+
+const { CATEGORIES } = require("./errors");
+
+const MAX_ATTEMPTS_LIMIT = 10;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+// Never retried: the user asked to stop, or nothing can change on a rerun
+const NOT_RETRYABLE = new Set(["cancelled", "spawn"]);
+const RETRYABLE = Object.keys(CATEGORIES).filter((c) => !NOT_RETRYABLE.has(c));
+
+function listEnv(value, fallback) {
+  if (value === undefined) return fallback;
+  return String(value).split(",").map((c) => c.trim()).filter(Boolean);
+}
+
+const DEFAULT_POLICY = {
+  maxAttempts: Number(process.env.RETRY_MAX_ATTEMPTS || 1),
+  backoffSeconds: Number(process.env.RETRY_BACKOFF_SECONDS || 60),
+  categories: listEnv(process.env.RETRY_CATEGORIES, ["connect", "dns", "timeout", "transfer"]),
+};
+
+/**
+ * Validate a retry policy, filling the gaps from the defaults.
+ * Returns { maxAttempts, backoffSeconds, categories }; throws an Error listing every problem.
+ */
+function validateRetryPolicy(input) {
+  if (input !== undefined && input !== null && (typeof input !== "object" || Array.isArray(input))) {
+    throw new Error("retry must be an object");
+  }
+  const policy = { ...DEFAULT_POLICY, ...(input || {}) };
+  const errors = [];
+
+  for (const name of Object.keys(policy)) {
+    if (!(name in DEFAULT_POLICY)) errors.push(`Unknown retry setting: ${name}`);
+  }
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1 || policy.maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    errors.push(`maxAttempts must be an integer from 1 to ${MAX_ATTEMPTS_LIMIT}`);
+  }
+  if (typeof policy.backoffSeconds !== "number" || !(policy.backoffSeconds >= 1 && policy.backoffSeconds <= MAX_BACKOFF_SECONDS)) {
+    errors.push(`backoffSeconds must be a number from 1 to ${MAX_BACKOFF_SECONDS}`);
+  }
+  if (!Array.isArray(policy.categories)) {
+    errors.push("categories must be a list");
+  } else {
+    for (const c of policy.categories) {
+      if (!RETRYABLE.includes(c)) errors.push(`Unknown or not retryable category: ${c}`);
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid retry policy: ${errors.join("; ")}`);
+  }
+  return {
+    maxAttempts: policy.maxAttempts,
+    backoffSeconds: policy.backoffSeconds,
+    categories: [...new Set(policy.categories)],
+  };
+}
+
+/** Should a failed attempt (1-based) be run again? */
+function shouldRetry(policy, error, attempt) {
+  if (!policy || !error) return false;
+  return attempt < policy.maxAttempts && policy.categories.includes(error.category);
+}
+
+/** Delay before the attempt after `attempt` */
+function retryDelayMs(policy, attempt) {
+  const seconds = Math.min(policy.backoffSeconds * 2 ** (attempt - 1), MAX_BACKOFF_SECONDS);
+  return Math.round(seconds * 1000);
+}
+
+// Fail fast on bad RETRY_* settings
+validateRetryPolicy();
+
+module.exports = {
+  RETRYABLE,
+  validateRetryPolicy,
+  shouldRetry,
+  retryDelayMs,
+};
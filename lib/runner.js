@@ -0,0 +1,321 @@
+"use strict";
+
+/*
+  imapsync runner: every imapsync process of the server is started here
+  startRun() writes the passfiles, builds the flags of the mode, spawns the binary and returns
+  a run (an EventEmitter). Transports (job WebSocket and log file, SSE, JSON) subscribe to it:
+    "start"    ({ pid })           the process is running
+    "line"     (line, stream)      redacted output line ending in "\n"; stream is "stdout",
+                                   "stderr" or "server" (notes of the runner itself)
+    "timeout"  ({ kind, ms })      kind "run" (overall limit) or "inactivity" (no output for ms);
+                                   the process is terminated right after
+    "exit"     (result)            once, when the process and its pipes are closed:
+                                   { mode, code, signal, exitCode, timedOut, spawnError, error }
+  code is what the process returned, exitCode is 124 after a timeout (as timeout(1) does), and
+  error the classification of lib/errors.js (null on success).
+
+  Modes (their flags follow the account and connection flags):
+    sync                full sync with the folder selection and the rate limits of the job
+    justlogin           --justlogin; a "HostN: ... FAIL" line fails the check
+    plan                --dry --justfolders with folder sizes (dry-run migration plan)
+    foldersizes         --justfoldersizes (verify stage)
+    checkmessageexists  --dry --checkmessageexists (verify stage)
+  Timeouts: CHECK_TIMEOUT_MS (justlogin, default 10 s), PLAN_TIMEOUT_MS (15 min) and
+  VERIFY_TIMEOUT_MS (30 min per run) overall; INACTIVITY_TIMEOUT_MS (2 h without output) for
+  every mode but justlogin.
+  The binary is IMAPSYNC_BIN (default "imapsync" from PATH) or the `bin` of a run, e.g. a fake
+  script in tests.
+*/
+
+const { EventEmitter } = require("events");
+const { spawn } = require("child_process");
+const { createPassfiles, makeRedactor } = require("./secrets");
+const { connectionArgs, syncArgs, limitArgs } = require("./options");
+const { createErrorClassifier, classifyOutput } = require("./errors");
+
+const IMAPSYNC_BIN = process.env.IMAPSYNC_BIN || "imapsync";
+const KILL_GRACE_MS = 5000;
+
+const TIMEOUTS = {
+  check: Number(process.env.CHECK_TIMEOUT_MS || 10000),
+  plan: Number(process.env.PLAN_TIMEOUT_MS || 15 * 60 * 1000),
+  verify: Number(process.env.VERIFY_TIMEOUT_MS || 30 * 60 * 1000),
+  inactivity: Number(process.env.INACTIVITY_TIMEOUT_MS || 2 * 60 * 60 * 1000),
+};
+
+// The verify runs use the folder selection and mapping of the sync, but never --delete2
+const verifySelection = (options) => ["--automap", ...syncArgs({ ...options, delete2: undefined })];
+
+const MODES = {
+  sync: {
+    label: "Sync",
+    args: ({ options, limits }) => [
+      "--automap",
+      "--noresyncflags",
+      "--allowsizemismatch",
+      "--skipemptyfolders",
+      ...syncArgs(options),
+      ...limitArgs(limits),
+    ],
+    inactivityTimeoutMs: TIMEOUTS.inactivity,
+  },
+  justlogin: {
+    label: "Credential check",
+    args: () => ["--justlogin"],
+    timeoutMs: TIMEOUTS.check,
+    failLine: /Host[12]:.*FAIL/i,
+  },
+  plan: {
+    label: "Plan",
+    args: ({ options }) => ["--dry", "--justfolders", "--foldersizes", "--nofoldersizesatend", "--automap", ...syncArgs(options)],
+    timeoutMs: TIMEOUTS.plan,
+    inactivityTimeoutMs: TIMEOUTS.inactivity,
+  },
+  foldersizes: {
+    label: "Verification",
+    args: ({ options }) => [...verifySelection(options), "--justfoldersizes"],
+    timeoutMs: TIMEOUTS.verify,
+    inactivityTimeoutMs: TIMEOUTS.inactivity,
+  },
+  checkmessageexists: {
+    label: "Verification",
+    args: ({ options }) => [...verifySelection(options), "--dry", "--checkmessageexists", "--nofoldersizes"],
+    timeoutMs: TIMEOUTS.verify,
+    inactivityTimeoutMs: TIMEOUTS.inactivity,
+  },
+};
+
+function enabled(value) {
+  return value === "on" || value === true;
+}
+
+/** --host, --user and --passfile (or --oauthaccesstoken) of both accounts */
+function accountArgs(payload, passfiles) {
+  const args = [];
+  for (const n of [1, 2]) {
+    args.push(`--host${n}`, payload[`host${n}`], `--user${n}`, payload[`user${n}`]);
+    if (passfiles[`tokenfile${n}`]) args.push(`--oauthaccesstoken${n}`, passfiles[`tokenfile${n}`]);
+    else args.push(`--passfile${n}`, passfiles[`passfile${n}`]);
+  }
+  return args;
+}
+
+/** Full argument list of a run */
+function buildArgs(mode, payload, passfiles, options = {}, limits = {}) {
+  const args = [...accountArgs(payload, passfiles), ...connectionArgs(options), ...MODES[mode].args({ options, limits })];
+  if (enabled(payload.nosslcheck)) args.push("--nosslcheck");
+  if (enabled(payload.debug)) args.push("--debug");
+  return args;
+}
+
+/**
+ * Start imapsync in `mode` for the accounts of `payload`
+ * ({ host1, user1, pass1 | token1, host2, ..., nosslcheck, debug }). Settings:
+ *   options, limits      validated imapsync options and rate limits (lib/options.js)
+ *   parsers              [{ onLine(line) }], fed the unredacted lines
+ *   cancelled()          true when a user asked for the stop (for the error classification)
+ *   bin                  imapsync binary (default IMAPSYNC_BIN)
+ *   timeoutMs, inactivityTimeoutMs   override the defaults of the mode (0 = none)
+ * Returns the run: an EventEmitter with mode, label, args, redact, child, startedAt, paused,
+ * exited, timedOut, result and kill(reason), pause(), resume().
+ */
+function startRun({
+  mode,
+  payload,
+  options = {},
+  limits = {},
+  parsers = [],
+  cancelled = () => false,
+  bin = IMAPSYNC_BIN,
+  timeoutMs,
+  inactivityTimeoutMs,
+}) {
+  const spec = MODES[mode];
+  if (!spec) throw new Error(`Unknown imapsync mode: ${mode}`);
+  const p = payload || {};
+
+  const passfiles = createPassfiles({ pass1: p.pass1, pass2: p.pass2, token1: p.token1, token2: p.token2 });
+  const redact = makeRedactor([
+    { user: p.user1, pass: p.pass1, token: p.token1 },
+    { user: p.user2, pass: p.pass2, token: p.token2 },
+  ]);
+  let args;
+  try {
+    args = buildArgs(mode, p, passfiles, options, limits);
+  } catch (err) {
+    passfiles.cleanup();
+    throw err;
+  }
+
+  const runTimeout = timeoutMs === undefined ? spec.timeoutMs || 0 : timeoutMs;
+  const idleTimeout = inactivityTimeoutMs === undefined ? spec.inactivityTimeoutMs || 0 : inactivityTimeoutMs;
+  const classifier = createErrorClassifier();
+  let failLine = null;
+  let spawnError = null;
+  let runTimer = null;
+  let idleTimer = null;
+  let killTimer = null;
+
+  const run = new EventEmitter();
+  Object.assign(run, {
+    mode,
+    label: spec.label,
+    args,
+    redact,
+    startedAt: Date.now(),
+    lastActivityAt: Date.now(),
+    paused: false,
+    exited: false,
+    timedOut: false,
+    result: null,
+  });
+
+  const child = spawn(bin, args, { stdio: ["ignore", "pipe", "pipe"] });
+  run.child = child;
+
+  function note(text) {
+    run.emit("line", text, "server");
+  }
+
+  function onLine(line, stream) {
+    const clean = redact(line);
+    run.emit("line", clean, stream);
+    classifier.onLine(clean);
+    if (spec.failLine && !failLine && spec.failLine.test(clean)) failLine = clean;
+    for (const parser of parsers) {
+      try {
+        parser.onLine(line);
+      } catch (e) {
+        note(`[server] parser error: ${e.message}\n`);
+      }
+    }
+  }
+
+  function pipeLines(stream, name) {
+    let buf = "";
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => {
+      touch();
+      buf += chunk;
+      let idx;
+      while ((idx = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, idx + 1);
+        buf = buf.slice(idx + 1);
+        onLine(line, name);
+      }
+    });
+    // A last line without "\n"
+    stream.on("end", () => {
+      if (buf) onLine(`${buf}\n`, name);
+      buf = "";
+    });
+  }
+
+  /** Restart the inactivity timer (on output, and when a paused run continues) */
+  function touch() {
+    run.lastActivityAt = Date.now();
+    if (!idleTimeout || run.exited || run.paused) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => expire("inactivity", idleTimeout), idleTimeout);
+  }
+
+  function expire(kind, ms) {
+    if (run.exited) return;
+    run.timedOut = true;
+    run.emit("timeout", { kind, ms });
+    kill(kind === "inactivity" ? "inactivity timeout" : `${spec.label.toLowerCase()} timeout`);
+  }
+
+  /** SIGTERM, then SIGKILL when the process is still there after KILL_GRACE_MS */
+  function kill(reason) {
+    if (run.exited) return false;
+    note(`\n[SERVER] Terminating imapsync process (reason: ${reason})...\n`);
+    // A stopped process cannot handle SIGTERM
+    if (run.paused) resume();
+    try {
+      child.kill("SIGTERM");
+    } catch (err) {
+      note(`[SERVER] Failed to kill process: ${err.message}\n`);
+      return false;
+    }
+    clearTimeout(killTimer);
+    killTimer = setTimeout(() => {
+      if (run.exited) return;
+      try {
+        child.kill("SIGKILL");
+        note("[SERVER] Process did not terminate, sent SIGKILL\n");
+      } catch (_) {}
+    }, KILL_GRACE_MS);
+    return true;
+  }
+
+  /** SIGSTOP; the inactivity timer waits meanwhile. Returns false when the process could not be stopped */
+  function pause() {
+    if (run.exited || run.paused || !child.kill("SIGSTOP")) return false;
+    run.paused = true;
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    return true;
+  }
+
+  /** SIGCONT and a fresh inactivity timer */
+  function resume() {
+    if (run.exited || !run.paused || !child.kill("SIGCONT")) return false;
+    run.paused = false;
+    touch();
+    return true;
+  }
+
+  Object.assign(run, { kill, pause, resume });
+
+  pipeLines(child.stdout, "stdout");
+  pipeLines(child.stderr, "stderr");
+  touch();
+  if (runTimeout) runTimer = setTimeout(() => expire("run", runTimeout), runTimeout);
+
+  child.on("spawn", () => {
+    run.emit("start", { pid: child.pid });
+  });
+
+  child.on("error", (err) => {
+    // Failed to start (the process still emits "close"), or a failed kill
+    if (child.pid !== undefined) return;
+    spawnError = err.message;
+    note(`[server] Failed to start imapsync: ${err.message}\n`);
+  });
+
+  child.on("close", (code, signal) => {
+    run.exited = true;
+    clearTimeout(runTimer);
+    clearTimeout(idleTimer);
+    clearTimeout(killTimer);
+    passfiles.cleanup();
+
+    const exitCode = run.timedOut ? 124 : code;
+    let error = classifier.result({ code: exitCode, signal, timedOut: run.timedOut, cancelled: cancelled(), spawnError });
+    if (!error && failLine) error = { ...classifyOutput(failLine, { code: 1 }), exitCode };
+
+    run.result = {
+      mode,
+      code,
+      signal: signal || null,
+      exitCode,
+      timedOut: run.timedOut,
+      spawnError,
+      error,
+      startedAt: run.startedAt,
+      finishedAt: Date.now(),
+    };
+    run.emit("exit", run.result);
+  });
+
+  return run;
+}
+
+module.exports = {
+  IMAPSYNC_BIN,
+  TIMEOUTS,
+  MODES: Object.keys(MODES),
+  buildArgs,
+  startRun,
+};
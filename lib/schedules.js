@@ -0,0 +1,209 @@
+"use strict";
+
+/*
+  Scheduled syncs
+  A schedule is a saved sync definition (hosts, users, options, retry policy) with a cron
+  expression (lib/cron.js). It is stored in SCHEDULES_PATH (mode 0600); the passwords are
+  encrypted with lib/secrets.js and only decrypted when a run is started.
+
+  nextRunAt is not stored: it is computed from the cron expression on load, so runs missed
+  while the server was down are not caught up.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parseCron, nextRun } = require("./cron");
+const { encryptSecret, decryptSecret } = require("./secrets");
+const { validateOptions } = require("./options");
+const { validateRetryPolicy } = require("./retry");
+const { LOG_ROOT } = require("./paths");
+
+const SCHEDULES_PATH = process.env.SCHEDULES_PATH || path.join(LOG_ROOT, "schedules.json");
+const MAX_NAME_LENGTH = 100;
+
+let schedules = new Map(); // id -> stored schedule (+ nextRunAt)
+
+function saveSchedules() {
+  fs.mkdirSync(path.dirname(SCHEDULES_PATH), { recursive: true });
+  const tmp = `${SCHEDULES_PATH}.tmp`;
+  const list = [...schedules.values()].map(({ nextRunAt, ...stored }) => stored);
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, SCHEDULES_PATH);
+}
+
+function computeNextRun(schedule, from = Date.now()) {
+  schedule.nextRunAt = schedule.enabled ? nextRun(parseCron(schedule.cron), from) : null;
+}
+
+function loadSchedules() {
+  let list = [];
+  try {
+    list = JSON.parse(fs.readFileSync(SCHEDULES_PATH, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Failed to read schedules from ${SCHEDULES_PATH}: ${e.message}`);
+  }
+  schedules = new Map(list.map((s) => [s.id, s]));
+  for (const s of schedules.values()) {
+    try {
+      computeNextRun(s);
+    } catch (err) {
+      console.warn(`Schedule ${s.id} disabled: ${err.message}`);
+      s.enabled = false;
+      s.nextRunAt = null;
+    }
+  }
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Validate a create (existing = undefined) or update request.
+ * Returns the fields to store, with the passwords already encrypted; throws on bad input.
+ */
+function validateSchedule(input, existing) {
+  const body = input || {};
+  const has = (name) => body[name] !== undefined;
+  const fields = {};
+
+  if (!existing || has("name")) {
+    const name = text(body.name);
+    if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    fields.name = name;
+  }
+  if (!existing || has("cron")) {
+    fields.cron = parseCron(body.cron).expression;
+  }
+  if (has("enabled")) {
+    if (typeof body.enabled !== "boolean") throw new Error("enabled must be true or false");
+    fields.enabled = body.enabled;
+  }
+  if (!existing || has("options")) fields.options = validateOptions(body.options);
+  if (!existing || has("retry")) fields.retry = validateRetryPolicy(body.retry);
+  for (const flag of ["nosslcheck", "debug"]) {
+    if (!existing || has(flag)) fields[flag] = body[flag] === true;
+  }
+
+  // Accounts: a stored password only stays with the host and user it was saved for, so
+  // moving a side to another host or user needs its password again
+  const account = (n, current) => {
+    const host = has(`host${n}`) ? text(body[`host${n}`]) : current && current.host;
+    const user = has(`user${n}`) ? text(body[`user${n}`]) : current && current.user;
+    if (!host || !user) throw new Error(`host${n} and user${n} are required`);
+    if (current && (host !== current.host || user !== current.user) && !has(`pass${n}`)) {
+      throw new Error(`pass${n} is required when host${n} or user${n} changes`);
+    }
+    return { host, user };
+  };
+  fields.source = account(1, existing && existing.source);
+  fields.destination = account(2, existing && existing.destination);
+
+  if (!existing || has("pass1") || has("pass2")) {
+    const current = existing ? decryptSecret(existing.credentials) : {};
+    const pass1 = has("pass1") ? body.pass1 : current.pass1;
+    const pass2 = has("pass2") ? body.pass2 : current.pass2;
+    if (!pass1 || !pass2) throw new Error("pass1 and pass2 are required");
+    fields.credentials = encryptSecret({ pass1: String(pass1), pass2: String(pass2) });
+  }
+  return fields;
+}
+
+function createSchedule(input, owner) {
+  const now = Date.now();
+  const schedule = {
+    id: crypto.randomBytes(12).toString("hex"),
+    owner,
+    enabled: true,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    lastJobId: null,
+    lastSkippedAt: null,
+    lastSkipReason: null,
+    ...validateSchedule(input),
+  };
+  computeNextRun(schedule);
+  schedules.set(schedule.id, schedule);
+  saveSchedules();
+  return schedule;
+}
+
+function updateSchedule(schedule, input) {
+  Object.assign(schedule, validateSchedule(input, schedule), { updatedAt: Date.now() });
+  computeNextRun(schedule);
+  saveSchedules();
+  return schedule;
+}
+
+function deleteSchedule(id) {
+  if (!schedules.delete(id)) return false;
+  saveSchedules();
+  return true;
+}
+
+function getSchedule(id) {
+  return schedules.get(id) || null;
+}
+
+function listSchedules() {
+  return [...schedules.values()];
+}
+
+/** Enabled schedules whose next run is due */
+function dueSchedules(now = Date.now()) {
+  return listSchedules().filter((s) => s.enabled && s.nextRunAt !== null && s.nextRunAt <= now);
+}
+
+/**
+ * Record a run ({ jobId }) or a skipped run ({ skipped: reason }) and move to the next cron time.
+ * Manual runs (fromCron = false) do not move the next cron time.
+ */
+function recordRun(schedule, { jobId = null, skipped = null }, fromCron, now = Date.now()) {
+  if (jobId) {
+    schedule.lastRunAt = now;
+    schedule.lastJobId = jobId;
+  } else {
+    schedule.lastSkippedAt = now;
+    schedule.lastSkipReason = skipped;
+  }
+  if (fromCron) computeNextRun(schedule, now);
+  saveSchedules();
+}
+
+/** Sync payload for enqueueSync, with the decrypted passwords */
+function syncPayload(schedule) {
+  const { pass1, pass2 } = decryptSecret(schedule.credentials);
+  return {
+    host1: schedule.source.host,
+    user1: schedule.source.user,
+    pass1,
+    host2: schedule.destination.host,
+    user2: schedule.destination.user,
+    pass2,
+    options: schedule.options,
+    retry: schedule.retry,
+    nosslcheck: schedule.nosslcheck,
+    debug: schedule.debug,
+  };
+}
+
+/** Schedule as returned by the API: everything except the credentials */
+function publicSchedule(schedule) {
+  const { credentials, ...rest } = schedule;
+  return rest;
+}
+
+module.exports = {
+  loadSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getSchedule,
+  listSchedules,
+  dueSchedules,
+  recordRun,
+  syncPayload,
+  publicSchedule,
+};
@@ -0,0 +1,179 @@
+"use strict";
+
+/*
+  Keeping mailbox passwords out of sight
+  - createPassfiles : short-lived 0600 files for imapsync --passfile1/--passfile2 (and OAuth2
+                      access tokens for --oauthaccesstoken1/2), so secrets never show up in
+                      the process argument list (ps)
+  - makeRedactor    : scrubs passwords from output lines before they are logged or sent
+  - encryptSecret / decryptSecret : AES-256-GCM for credentials stored on disk (schedules);
+                      the key is SECRETS_KEY (base64 or hex, 32 bytes) or a random key kept in
+                      SECRETS_KEY_PATH, created with mode 0600 on first use. There is no default
+                      path: a key next to the data it encrypts (and in the same backups) would
+                      protect nothing, so credentials cannot be stored until one of them is set
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const PASSFILE_DIR = process.env.PASSFILE_DIR || os.tmpdir();
+const PASSFILE_PREFIX = "imapsync-pass-";
+const REDACTED = "********";
+const SECRETS_KEY_PATH = process.env.SECRETS_KEY_PATH || "";
+const CIPHER = "aes-256-gcm";
+const CIPHER_VERSION = "v1";
+
+/**
+ * Write { pass1, pass2, token1, token2 } (the ones that are set) to files only readable by us.
+ * Returns { passfile1, passfile2, tokenfile1, tokenfile2, cleanup }; call cleanup() once imapsync has exited.
+ */
+function createPassfiles({ pass1, pass2, token1, token2 }) {
+  const dir = fs.mkdtempSync(path.join(PASSFILE_DIR, PASSFILE_PREFIX));
+  fs.chmodSync(dir, 0o700);
+
+  const files = {};
+  for (const [name, value] of Object.entries({ pass1, pass2, token1, token2 })) {
+    if (!value) continue;
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `${value}\n`, { mode: 0o600 });
+    files[name.replace(/^(pass|token)/, "$1file")] = file;
+  }
+
+  let removed = false;
+  function cleanup() {
+    if (removed) return;
+    removed = true;
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+    } catch (e) {
+      console.warn(`Failed to remove passfiles in ${dir}: ${e.message}`);
+    }
+  }
+
+  return { ...files, cleanup };
+}
+
+/** Remove passfiles left behind by a crash */
+function removeStalePassfiles() {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(PASSFILE_DIR);
+  } catch (_) {
+    return;
+  }
+  for (const name of entries) {
+    if (!name.startsWith(PASSFILE_PREFIX)) continue;
+    try {
+      fs.rmSync(path.join(PASSFILE_DIR, name), { recursive: true, force: true });
+    } catch (_) {}
+  }
+}
+
+/**
+ * Build a function that replaces every form in which a password or an access token can
+ * appear in imapsync output: as is, IMAP-quoted (LOGIN with --debug), AUTHENTICATE PLAIN
+ * and XOAUTH2 base64.
+ */
+function makeRedactor(accounts) {
+  const needles = new Set();
+  for (const { user, pass, token } of accounts) {
+    if (token) {
+      needles.add(String(token));
+      needles.add(Buffer.from(`user=${user}\x01auth=Bearer ${token}\x01\x01`).toString("base64"));
+    }
+    if (!pass) continue;
+    const p = String(pass);
+    needles.add(p);
+    needles.add(p.replace(/\\/g, "\\\\").replace(/"/g, '\\"'));
+    if (user) {
+      needles.add(Buffer.from(`\0${user}\0${p}`).toString("base64"));
+      needles.add(Buffer.from(`${user}\0${user}\0${p}`).toString("base64"));
+    }
+  }
+
+  // Longest first so a password containing another one is fully replaced
+  const list = [...needles].filter(Boolean).sort((a, b) => b.length - a.length);
+
+  return function redact(text) {
+    let out = String(text);
+    for (const needle of list) {
+      if (out.includes(needle)) out = out.split(needle).join(REDACTED);
+    }
+    return out;
+  };
+}
+
+let secretsKey = null;
+
+function decodeKey(text, source) {
+  const value = String(text).trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (key.length !== 32) throw new Error(`${source} must hold a 32-byte key (base64 or hex)`);
+  return key;
+}
+
+/** Is there a key for stored credentials (SECRETS_KEY or SECRETS_KEY_PATH)? */
+function secretsConfigured() {
+  return Boolean(process.env.SECRETS_KEY || SECRETS_KEY_PATH);
+}
+
+/** Encryption key: SECRETS_KEY, else SECRETS_KEY_PATH (generated when missing) */
+function getSecretsKey() {
+  if (secretsKey) return secretsKey;
+  if (process.env.SECRETS_KEY) {
+    secretsKey = decodeKey(process.env.SECRETS_KEY, "SECRETS_KEY");
+    return secretsKey;
+  }
+  if (!SECRETS_KEY_PATH) {
+    throw new Error("Storing credentials needs an encryption key: set SECRETS_KEY or SECRETS_KEY_PATH on the server");
+  }
+
+  try {
+    secretsKey = decodeKey(fs.readFileSync(SECRETS_KEY_PATH, "utf8"), SECRETS_KEY_PATH);
+    return secretsKey;
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  fs.mkdirSync(path.dirname(SECRETS_KEY_PATH), { recursive: true });
+  const key = crypto.randomBytes(32);
+  // wx: never overwrite a key another process has just written
+  fs.writeFileSync(SECRETS_KEY_PATH, `${key.toString("base64")}\n`, { mode: 0o600, flag: "wx" });
+  console.log(`Created encryption key for stored credentials in ${SECRETS_KEY_PATH}`);
+  secretsKey = key;
+  return secretsKey;
+}
+
+/** Encrypt a JSON value: "v1:<iv>:<tag>:<ciphertext>" (base64 parts) */
+function encryptSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getSecretsKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return [CIPHER_VERSION, iv, cipher.getAuthTag(), data].map((p) => p.toString("base64")).join(":");
+}
+
+/** Reverse of encryptSecret; throws when the key is wrong or the data was changed */
+function decryptSecret(text) {
+  const parts = String(text || "").split(":");
+  if (parts.length !== 4 || parts[0] !== CIPHER_VERSION) throw new Error("Unsupported encrypted value");
+  const [iv, tag, data] = parts.slice(1).map((p) => Buffer.from(p, "base64"));
+  const key = getSecretsKey();
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+    decipher.setAuthTag(tag);
+    const plain = Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+    return JSON.parse(plain);
+  } catch (_) {
+    throw new Error("Could not decrypt stored credentials (wrong SECRETS_KEY?)");
+  }
+}
+
+module.exports = {
+  createPassfiles,
+  removeStalePassfiles,
+  makeRedactor,
+  secretsConfigured,
+  encryptSecret,
+  decryptSecret,
+};
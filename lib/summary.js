@@ -0,0 +1,84 @@
+"use strict";
+
+/*
+  End-of-sync summary: parse the imapsync "++++ Statistics" block
+    Messages transferred                    : 42
+    Total bytes transferred                 : 123456 (120.562 KiB)
+    ...
+    Detected 3 errors
+  into a flat object stored with the job and sent in the "done" event.
+*/
+
+const { toCsv } = require("./csv");
+
+const NUMBER = "([-\\d.]+)";
+
+// [key, line regex]: the first capture group is kept, as a number
+const STAT_LINES = [
+  ["transferSeconds", `Transfer time\\s*:\\s*${NUMBER}\\s*sec`],
+  ["foldersSynced", "Folders synced\\s*:\\s*(\\d+)"],
+  ["foldersTotal", "Folders synced\\s*:\\s*\\d+\\s*/\\s*(\\d+)"],
+  ["messagesTransferred", `Messages transferred\\s*:\\s*${NUMBER}`],
+  ["messagesSkipped", `Messages skipped\\s*:\\s*${NUMBER}`],
+  ["duplicatesHost1", `Messages found duplicate on host1\\s*:\\s*${NUMBER}`],
+  ["duplicatesHost2", `Messages found duplicate on host2\\s*:\\s*${NUMBER}`],
+  ["missingOnHost2", `Messages found in host1 not in host2\\s*:\\s*${NUMBER}`],
+  ["missingOnHost1", `Messages found in host2 not in host1\\s*:\\s*${NUMBER}`],
+  ["deletedHost1", `Messages deleted on host1\\s*:\\s*${NUMBER}`],
+  ["deletedHost2", `Messages deleted on host2\\s*:\\s*${NUMBER}`],
+  ["bytesTransferred", `Total bytes transferred\\s*:\\s*${NUMBER}`],
+  ["bytesSkipped", `Total bytes skipped\\s*:\\s*${NUMBER}`],
+  ["messagesPerSecond", `Message rate\\s*:\\s*${NUMBER}`],
+  ["kibPerSecond", `Average bandwidth rate\\s*:\\s*${NUMBER}\\s*KiB/s`],
+  ["reconnectionsHost1", `Reconnections to host1\\s*:\\s*${NUMBER}`],
+  ["reconnectionsHost2", `Reconnections to host2\\s*:\\s*${NUMBER}`],
+  ["biggestMessageBytes", `Biggest message\\s*:\\s*${NUMBER}\\s*bytes`],
+  ["host1Messages", `Host1 Nb messages\\s*:\\s*${NUMBER}`],
+  ["host2Messages", `Host2 Nb messages\\s*:\\s*${NUMBER}`],
+  ["host1Bytes", `Host1 Total size\\s*:\\s*${NUMBER}`],
+  ["host2Bytes", `Host2 Total size\\s*:\\s*${NUMBER}`],
+  ["startDifferenceMessages", `Start difference host2 - host1\\s*:\\s*${NUMBER}\\s*messages`],
+  ["finalDifferenceMessages", `Final difference host2 - host1\\s*:\\s*${NUMBER}\\s*messages`],
+  ["errors", `^Detected\\s+${NUMBER}\\s+errors?`],
+].map(([key, re]) => [key, new RegExp(re, "i")]);
+
+/**
+ * Line parser for a sync run.
+ * Returns { onLine(line), summary() }; summary() is null when no statistics were seen.
+ */
+function createSummaryParser() {
+  const stats = {};
+  let seen = false;
+
+  function onLine(raw) {
+    const line = String(raw).trim();
+    if (!line.includes(":") && !/^Detected/i.test(line)) return;
+
+    for (const [key, re] of STAT_LINES) {
+      const m = line.match(re);
+      if (!m) continue;
+      const value = Number(m[1]);
+      if (!Number.isFinite(value)) continue;
+      // "Host1 Nb messages" appears before and after the sync: the last one wins
+      stats[key] = value;
+      seen = true;
+    }
+  }
+
+  function summary() {
+    if (!seen) return null;
+    return { ...stats, errors: stats.errors || 0 };
+  }
+
+  return { onLine, summary };
+}
+
+/** Key/value CSV of a summary */
+function summaryToCsv(summary) {
+  return toCsv(["name", "value"], Object.entries(summary || {}));
+}
+
+module.exports = {
+  createSummaryParser,
+  summaryToCsv,
+};
@@ -0,0 +1,238 @@
+"use strict";
+
+/*
+  Rate limits for sync jobs
+  imapsync throttles itself with --maxbytespersecond, --maxmessagespersecond and --maxbytesafter.
+  A job asks for limits in its "options" (lib/options.js); admins add rules per source host,
+  stored in THROTTLE_RULES_PATH:
+    { host: "mail.example.com" | "*.example.com" | "*",
+      limits: { maxbytespersecond, maxmessagespersecond, maxbytesafter },
+      windows: [{ days: [1, 2, 3, 4, 5], from: "08:00", to: "18:00", limits: { ... } }],
+      onChange: "restart" | "requeue" | "none" }
+  "limits" apply outside the windows; while a window is open its limits replace them.
+  Windows use the server's local time, days are 0 (Sunday) to 6, and a window whose "to" is not
+  after "from" runs past midnight ("days" is the day it opens).
+
+  A job runs with the strictest value of each limit among its own options and every enabled
+  rule matching its source host. When that changes for a running job (a window opens or closes,
+  a rule is edited), the job is stopped and started again with the new flags: "restart" puts it
+  at the head of the queue, "requeue" at its end, "none" leaves the running process alone.
+  imapsync skips what the stopped run already copied.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { LIMIT_OPTIONS, validateOptions } = require("./options");
+const { LOG_ROOT } = require("./paths");
+
+const RULES_PATH = process.env.THROTTLE_RULES_PATH || path.join(LOG_ROOT, "throttle-rules.json");
+const ON_CHANGE = ["restart", "requeue", "none"];
+// When several matching rules disagree, the first of these wins
+const ON_CHANGE_PRECEDENCE = ["requeue", "restart", "none"];
+const MAX_WINDOWS = 20;
+const MAX_NAME_LENGTH = 100;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const HOST_RE = /^(\*|(\*\.)?[a-z0-9]([a-z0-9.-]*[a-z0-9])?)$/;
+
+let rules = new Map(); // id -> rule
+
+function saveRules() {
+  fs.mkdirSync(path.dirname(RULES_PATH), { recursive: true });
+  const tmp = `${RULES_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...rules.values()], null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, RULES_PATH);
+}
+
+function loadRules() {
+  let list = [];
+  try {
+    list = JSON.parse(fs.readFileSync(RULES_PATH, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Failed to read throttle rules from ${RULES_PATH}: ${e.message}`);
+  }
+  rules = new Map(list.map((r) => [r.id, r]));
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/** Only the rate limit options, type-checked; errors are pushed to `errors` */
+function checkLimits(input, name, errors) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    errors.push(`${name} must be an object`);
+    return {};
+  }
+  const unknown = Object.keys(input).filter((k) => !LIMIT_OPTIONS.includes(k));
+  if (unknown.length) {
+    errors.push(`${name}: unknown limit ${unknown.join(", ")} (allowed: ${LIMIT_OPTIONS.join(", ")})`);
+    return {};
+  }
+  try {
+    return validateOptions(input);
+  } catch (err) {
+    errors.push(`${name}: ${err.message.replace(/^Invalid options: /, "")}`);
+    return {};
+  }
+}
+
+function toMinutes(time) {
+  const m = TIME_RE.exec(time);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function checkWindows(input, errors) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input) || input.length > MAX_WINDOWS) {
+    errors.push(`windows must be a list of at most ${MAX_WINDOWS} entries`);
+    return [];
+  }
+  return input.map((w, i) => {
+    const name = `windows[${i}]`;
+    const win = w || {};
+    const days = win.days === undefined ? ALL_DAYS : win.days;
+    if (!Array.isArray(days) || !days.length || days.some((d) => !ALL_DAYS.includes(d))) {
+      errors.push(`${name}.days must be a list of days 0 (Sunday) to 6`);
+    }
+    for (const key of ["from", "to"]) {
+      if (!TIME_RE.test(text(win[key]))) errors.push(`${name}.${key} must be a time like 08:00`);
+    }
+    return {
+      days: Array.isArray(days) ? ALL_DAYS.filter((d) => days.includes(d)) : [],
+      from: text(win.from),
+      to: text(win.to),
+      limits: checkLimits(win.limits, `${name}.limits`, errors),
+    };
+  });
+}
+
+/** Validate a create (existing = undefined) or update request; returns the fields to store */
+function validateRule(input, existing) {
+  const body = input || {};
+  const has = (name) => body[name] !== undefined;
+  const fields = {};
+  const errors = [];
+
+  if (!existing || has("name")) {
+    fields.name = text(body.name);
+    if (fields.name.length > MAX_NAME_LENGTH) errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!existing || has("host")) {
+    fields.host = text(body.host).toLowerCase();
+    if (!HOST_RE.test(fields.host)) errors.push('host must be a host name, "*.domain" or "*"');
+  }
+  if (!existing || has("limits")) fields.limits = checkLimits(body.limits, "limits", errors);
+  if (!existing || has("windows")) fields.windows = checkWindows(body.windows, errors);
+  if (!existing || has("onChange")) {
+    fields.onChange = body.onChange === undefined ? "restart" : body.onChange;
+    if (!ON_CHANGE.includes(fields.onChange)) errors.push(`onChange must be one of ${ON_CHANGE.join(", ")}`);
+  }
+  if (has("enabled")) {
+    if (typeof body.enabled !== "boolean") errors.push("enabled must be true or false");
+    fields.enabled = body.enabled;
+  }
+
+  if (errors.length) throw new Error(`Invalid throttle rule: ${errors.join("; ")}`);
+  return fields;
+}
+
+function createRule(input, owner) {
+  const fields = validateRule(input);
+  const now = Date.now();
+  const rule = {
+    id: crypto.randomBytes(12).toString("hex"),
+    owner,
+    enabled: true,
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+  };
+  rules.set(rule.id, rule);
+  saveRules();
+  return rule;
+}
+
+function updateRule(rule, input) {
+  Object.assign(rule, validateRule(input, rule), { updatedAt: Date.now() });
+  saveRules();
+  return rule;
+}
+
+function deleteRule(id) {
+  if (!rules.delete(id)) return false;
+  saveRules();
+  return true;
+}
+
+function getRule(id) {
+  return rules.get(id) || null;
+}
+
+function listRules() {
+  return [...rules.values()];
+}
+
+function hostMatches(pattern, host) {
+  const h = String(host || "").trim().toLowerCase();
+  if (pattern === "*") return true;
+  if (pattern.startsWith("*.")) return h.endsWith(pattern.slice(1));
+  return h === pattern;
+}
+
+function windowOpen(win, date) {
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const from = toMinutes(win.from);
+  const to = toMinutes(win.to);
+  if (from < to) return win.days.includes(day) && minute >= from && minute < to;
+  // Runs past midnight: opened today, or yesterday and not closed yet
+  return (win.days.includes(day) && minute >= from) || (win.days.includes((day + 6) % 7) && minute < to);
+}
+
+/** Limits of a rule at `date`: those of the first open window, else the rule's own */
+function ruleLimits(rule, date) {
+  const win = rule.windows.find((w) => windowOpen(w, date));
+  return win ? win.limits : rule.limits;
+}
+
+/**
+ * Limits a job for `host` with the given options runs with at `date`.
+ * Returns { limits, onChange, rules: [rule ids] }; onChange is null when no rule matched.
+ */
+function effectiveLimits(host, options = {}, date = new Date()) {
+  const limits = {};
+  const strictest = (source) => {
+    for (const name of LIMIT_OPTIONS) {
+      if (source[name] === undefined) continue;
+      if (limits[name] === undefined || source[name] < limits[name]) limits[name] = source[name];
+    }
+  };
+  strictest(options);
+
+  const matched = listRules().filter((r) => r.enabled && hostMatches(r.host, host));
+  for (const rule of matched) strictest(ruleLimits(rule, date));
+
+  // The most disruptive mode asked for wins: requeue, then restart
+  const modes = matched.map((r) => r.onChange);
+  const onChange = ON_CHANGE_PRECEDENCE.find((m) => modes.includes(m)) || null;
+  return { limits, onChange, rules: matched.map((r) => r.id) };
+}
+
+function sameLimits(a, b) {
+  return LIMIT_OPTIONS.every((name) => (a || {})[name] === (b || {})[name]);
+}
+
+module.exports = {
+  ON_CHANGE,
+  loadRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRule,
+  listRules,
+  effectiveLimits,
+  sameLimits,
+};
@@ -0,0 +1,172 @@
+"use strict";
+
+/*
+  Verification after a sync: proof that the destination holds what the source has
+  Requested with "verify" in the /sync or /batch payload:
+    verify: true                          imapsync --justfoldersizes: messages and bytes per
+                                          folder on both sides
+    verify: { checkMessageExists: true }  also a dry sync with --checkmessageexists, which looks
+                                          every source message up on the destination; the ones
+                                          it would still copy are counted as missing
+  A folder fails when its destination folder does not exist, has fewer messages, has a message
+  that would still be copied, or is smaller than the source by more than
+  VERIFY_SIZE_TOLERANCE_PERCENT (default 1 %, servers may rewrite headers). More messages on the
+  destination (older content, duplicates) pass with status "extra".
+*/
+
+const { toCsv } = require("./csv");
+
+const SIZE_TOLERANCE = Math.max(0, Number(process.env.VERIFY_SIZE_TOLERANCE_PERCENT || 1)) / 100;
+
+// "Host1 folder    1/7 [INBOX]      Size:    123456 Messages:    42 Biggest:   1234"
+const reFolderSize = /^Host([12])\s+folder\s+(\d+)\/\d+\s+\[(.*)\]\s+Size:\s+(\d+)\s+Messages:\s+(\d+)/i;
+// "Host2 folder    3/7 [Archive] does not exist yet"
+const reFolderMissing = /^Host2\s+folder\s+(\d+)\/\d+\s+\[(.*)\]\s+does not exist/i;
+// "Folder    1/7 [INBOX.Sent]     -> [Sent]"
+const reFolderMapping = /^Folder\s+\d+\/\d+\s+\[(.*?)\]\s+->\s+\[(.*)\]/i;
+// "msg INBOX/12 {3456} copied to Sent/34 (not really since --dry mode)"
+const reWouldCopy = /^msg\s+(.+)\/\d+\s+\{\d+\}\s+copied\s+to/i;
+
+const CSV_COLUMNS = [
+  ["source", "source_folder"],
+  ["destination", "destination_folder"],
+  ["sourceMessages", "source_messages"],
+  ["destinationMessages", "destination_messages"],
+  ["sourceBytes", "source_bytes"],
+  ["destinationBytes", "destination_bytes"],
+  ["missingMessages", "missing_messages"],
+  ["status", "status"],
+  ["passed", "passed"],
+];
+
+/** "verify" of a request: null (no verification) or { checkMessageExists }; throws on bad input */
+function validateVerify(input) {
+  if (input === undefined || input === null || input === false) return null;
+  if (input === true) return { checkMessageExists: false };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("verify must be true or an object like { checkMessageExists: true }");
+  }
+  for (const name of Object.keys(input)) {
+    if (name !== "checkMessageExists") throw new Error(`Unknown verify setting: ${name}`);
+  }
+  if (input.checkMessageExists !== undefined && typeof input.checkMessageExists !== "boolean") {
+    throw new Error("verify.checkMessageExists must be true or false");
+  }
+  return { checkMessageExists: input.checkMessageExists === true };
+}
+
+/**
+ * Line parser for the verification runs (both runs can feed the same parser).
+ * Returns { onLine(line), report(meta) }.
+ */
+function createVerifyParser() {
+  const host1 = new Map(); // index -> { name, messages, bytes }
+  const host2 = new Map(); // index -> { name, messages, bytes } or { name, missing: true }
+  const mapping = new Map(); // source folder -> destination folder
+  const wouldCopy = new Map(); // source folder -> messages the dry run would still copy
+
+  function onLine(raw) {
+    const line = String(raw).trim();
+
+    let m = line.match(reFolderSize);
+    if (m) {
+      (m[1] === "1" ? host1 : host2).set(Number(m[2]), { name: m[3], bytes: Number(m[4]), messages: Number(m[5]) });
+      return;
+    }
+
+    m = line.match(reFolderMissing);
+    if (m) {
+      host2.set(Number(m[1]), { name: m[2], missing: true });
+      return;
+    }
+
+    m = line.match(reFolderMapping);
+    if (m) {
+      mapping.set(m[1], m[2]);
+      return;
+    }
+
+    m = line.match(reWouldCopy);
+    if (m) wouldCopy.set(m[1], (wouldCopy.get(m[1]) || 0) + 1);
+  }
+
+  function destinationOf(index, source) {
+    // imapsync lists the host2 folders in the order of the host1 folders they map to
+    const name = mapping.get(source) || (host2.has(index) ? host2.get(index).name : source);
+    const byName = [...host2.values()].find((f) => f.name === name);
+    return { name, found: byName || null };
+  }
+
+  function compare(index, src) {
+    const { name, found } = destinationOf(index, src.name);
+    const dst = found && !found.missing ? found : null;
+    const folder = {
+      source: src.name,
+      destination: name,
+      sourceMessages: src.messages,
+      destinationMessages: dst ? dst.messages : found ? 0 : null,
+      sourceBytes: src.bytes,
+      destinationBytes: dst ? dst.bytes : found ? 0 : null,
+      missingMessages: wouldCopy.get(src.name) || 0,
+    };
+
+    if (!dst && src.messages > 0) folder.status = found ? "missing_folder" : "not_checked";
+    else if (dst && dst.messages < src.messages) folder.status = "fewer_messages";
+    else if (folder.missingMessages > 0) folder.status = "missing_messages";
+    else if (dst && dst.bytes < src.bytes * (1 - SIZE_TOLERANCE)) folder.status = "smaller";
+    else if (dst && dst.messages > src.messages) folder.status = "extra";
+    else folder.status = "ok";
+    folder.passed = folder.status === "ok" || folder.status === "extra";
+    return folder;
+  }
+
+  /** meta: { jobId, checkMessageExists, cancelled, runs: [{ mode, exitCode, error }] } */
+  function report(meta = {}) {
+    const folders = [...host1.entries()].sort((a, b) => a[0] - b[0]).map(([index, src]) => compare(index, src));
+    const failedRuns = (meta.runs || []).filter((r) => r.exitCode !== 0);
+    const sum = (key) => folders.reduce((n, f) => n + (f[key] || 0), 0);
+
+    let error = null;
+    if (meta.cancelled) error = "Verification was cancelled";
+    else if (failedRuns.length) {
+      error = failedRuns
+        .map((r) => `imapsync ${r.mode} run failed${r.error ? `: ${r.error}` : ` (exit code ${r.exitCode})`}`)
+        .join("; ");
+    }
+    else if (!folders.length) error = "imapsync did not report any folder sizes";
+
+    return {
+      ...meta,
+      generatedAt: Date.now(),
+      sizeTolerancePercent: SIZE_TOLERANCE * 100,
+      passed: !error && folders.every((f) => f.passed),
+      error,
+      folders,
+      totals: {
+        folders: folders.length,
+        foldersFailed: folders.filter((f) => !f.passed).length,
+        sourceMessages: sum("sourceMessages"),
+        destinationMessages: sum("destinationMessages"),
+        sourceBytes: sum("sourceBytes"),
+        destinationBytes: sum("destinationBytes"),
+        missingMessages: sum("missingMessages"),
+      },
+    };
+  }
+
+  return { onLine, report };
+}
+
+/** One CSV row per folder */
+function verificationToCsv(report) {
+  return toCsv(
+    CSV_COLUMNS.map(([, title]) => title),
+    report.folders.map((folder) => CSV_COLUMNS.map(([key]) => folder[key]))
+  );
+}
+
+module.exports = {
+  validateVerify,
+  createVerifyParser,
+  verificationToCsv,
+};
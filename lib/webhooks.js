@@ -0,0 +1,418 @@
+"use strict";
+
+/*
+  Outbound webhooks for job lifecycle events
+  Admins register endpoints (URL, events, secret) in WEBHOOKS_PATH (mode 0600, the secret
+  encrypted with lib/secrets.js). Every sync job event is POSTed as JSON to the enabled
+  endpoints that subscribe to it:
+    job.queued, job.started, job.progress, job.paused, job.resumed, job.finished, job.failed, job.cancelled
+  job.progress is sent at most once per WEBHOOK_PROGRESS_INTERVAL_MS per job.
+
+  Body:    { id, event, createdAt, job }   (job as returned by GET /jobs/:id; null for "ping",
+           the test event of POST /webhooks/:id/test)
+  Headers: X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp (ms) and
+           X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+
+  A delivery fails on a network error, a timeout (WEBHOOK_TIMEOUT_MS) or a non-2xx answer.
+  Failed deliveries are retried up to WEBHOOK_MAX_ATTEMPTS attempts, the delay doubling from
+  WEBHOOK_RETRY_SECONDS; progress deliveries are not retried, the next one supersedes them.
+  Deliveries and their attempts are appended to WEBHOOK_DELIVERIES_PATH (JSON lines, the last
+  WEBHOOK_DELIVERY_LOG_SIZE are kept, and the file is rewritten with only those once it holds
+  twice as many lines). Pending retries do not survive a restart: they are
+  recorded as "interrupted".
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { encryptSecret, decryptSecret } = require("./secrets");
+const { LOG_ROOT } = require("./paths");
+
+const WEBHOOKS_PATH = process.env.WEBHOOKS_PATH || path.join(LOG_ROOT, "webhooks.json");
+const DELIVERIES_PATH = process.env.WEBHOOK_DELIVERIES_PATH || path.join(LOG_ROOT, "webhook-deliveries.jsonl");
+const DELIVERY_LOG_SIZE = Math.max(100, Number(process.env.WEBHOOK_DELIVERY_LOG_SIZE || 1000));
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5));
+const RETRY_SECONDS = Math.max(1, Number(process.env.WEBHOOK_RETRY_SECONDS || 30));
+const TIMEOUT_MS = Math.max(1000, Number(process.env.WEBHOOK_TIMEOUT_MS || 10000));
+const PROGRESS_INTERVAL_MS = Math.max(1000, Number(process.env.WEBHOOK_PROGRESS_INTERVAL_MS || 60000));
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+const EVENTS = [
+  "job.queued",
+  "job.started",
+  "job.progress",
+  "job.paused",
+  "job.resumed",
+  "job.finished",
+  "job.failed",
+  "job.cancelled",
+];
+const MAX_NAME_LENGTH = 100;
+// Only this much of an error answer is kept in the delivery log
+const MAX_RESPONSE_TEXT = 300;
+
+let webhooks = new Map(); // id -> stored webhook
+let deliveries = new Map(); // id -> delivery, oldest first
+const lastProgressAt = new Map(); // job id -> ms of the last job.progress dispatch
+const retryTimers = new Map(); // delivery id -> { timer, webhook }
+let deliveryFileLines = 0; // lines in DELIVERIES_PATH, rewritten once they outgrow the kept deliveries
+
+function saveWebhooks() {
+  fs.mkdirSync(path.dirname(WEBHOOKS_PATH), { recursive: true });
+  const tmp = `${WEBHOOKS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...webhooks.values()], null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, WEBHOOKS_PATH);
+}
+
+/** Append the current state of a delivery; the last line for an id wins */
+function saveDelivery(delivery) {
+  try {
+    fs.mkdirSync(path.dirname(DELIVERIES_PATH), { recursive: true });
+    fs.appendFileSync(DELIVERIES_PATH, JSON.stringify(delivery) + "\n");
+    deliveryFileLines += 1;
+  } catch (e) {
+    console.warn(`Failed to record webhook delivery ${delivery.id}: ${e.message}`);
+  }
+}
+
+/** Rewrite the delivery log with the last state of the kept deliveries */
+function compactDeliveries() {
+  fs.mkdirSync(path.dirname(DELIVERIES_PATH), { recursive: true });
+  const tmp = `${DELIVERIES_PATH}.tmp`;
+  fs.writeFileSync(tmp, [...deliveries.values()].map((d) => JSON.stringify(d) + "\n").join(""));
+  fs.renameSync(tmp, DELIVERIES_PATH);
+  deliveryFileLines = deliveries.size;
+}
+
+function trimDeliveries() {
+  for (const id of deliveries.keys()) {
+    if (deliveries.size <= DELIVERY_LOG_SIZE) break;
+    if (!retryTimers.has(id)) deliveries.delete(id);
+  }
+  // Every attempt appends a line: compact before the file holds twice what is kept
+  if (deliveryFileLines < 2 * DELIVERY_LOG_SIZE) return;
+  try {
+    compactDeliveries();
+  } catch (e) {
+    console.warn(`Failed to compact webhook deliveries: ${e.message}`);
+  }
+}
+
+function loadDeliveries() {
+  let text = "";
+  try {
+    text = fs.readFileSync(DELIVERIES_PATH, "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`Failed to read webhook deliveries ${DELIVERIES_PATH}: ${e.message}`);
+  }
+  deliveries = new Map();
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const d = JSON.parse(line);
+      if (d && d.id) {
+        deliveries.delete(d.id);
+        deliveries.set(d.id, d);
+      }
+    } catch (_) {
+      // torn last line after a crash
+    }
+  }
+  for (const d of deliveries.values()) {
+    if (d.status === "pending") {
+      d.status = "interrupted";
+      d.nextAttemptAt = null;
+    }
+  }
+  trimDeliveries();
+
+  try {
+    compactDeliveries();
+  } catch (e) {
+    if (deliveries.size) console.warn(`Failed to compact webhook deliveries: ${e.message}`);
+  }
+}
+
+function loadWebhooks() {
+  let list = [];
+  try {
+    list = JSON.parse(fs.readFileSync(WEBHOOKS_PATH, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Failed to read webhooks from ${WEBHOOKS_PATH}: ${e.message}`);
+  }
+  webhooks = new Map(list.map((w) => [w.id, w]));
+  loadDeliveries();
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Validate a create (existing = undefined) or update request.
+ * Returns the fields to store (the secret encrypted) and the plain secret when it was set
+ * or generated; throws on bad input.
+ */
+function validateWebhook(input, existing) {
+  const body = input || {};
+  const has = (name) => body[name] !== undefined;
+  const fields = {};
+  const errors = [];
+  let secret = null;
+
+  if (!existing || has("name")) {
+    fields.name = text(body.name);
+    if (!fields.name || fields.name.length > MAX_NAME_LENGTH) errors.push(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+  }
+  if (!existing || has("url")) {
+    fields.url = text(body.url);
+    let parsed = null;
+    try {
+      parsed = new URL(fields.url);
+    } catch (_) {
+      // reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) errors.push("url must be an http:// or https:// URL");
+  }
+  if (!existing || has("events")) {
+    const events = body.events === undefined || body.events === null ? EVENTS : body.events;
+    if (!Array.isArray(events) || !events.length) {
+      errors.push("events must be a non-empty list");
+    } else {
+      for (const e of events) {
+        if (!EVENTS.includes(e)) errors.push(`Unknown event: ${e}`);
+      }
+      fields.events = EVENTS.filter((e) => events.includes(e));
+    }
+  }
+  if (has("enabled")) {
+    if (typeof body.enabled !== "boolean") errors.push("enabled must be true or false");
+    fields.enabled = body.enabled;
+  }
+  if (!existing || has("secret")) {
+    secret = text(body.secret) || crypto.randomBytes(24).toString("hex");
+    if (secret.length < 16) errors.push("secret must be at least 16 characters");
+    fields.credentials = encryptSecret({ secret });
+  }
+
+  if (errors.length) throw new Error(`Invalid webhook: ${errors.join("; ")}`);
+  return { fields, secret };
+}
+
+/** Returns { webhook, secret }: the secret is only ever shown here and on a secret change */
+function createWebhook(input, owner) {
+  const { fields, secret } = validateWebhook(input);
+  const now = Date.now();
+  const webhook = {
+    id: crypto.randomBytes(12).toString("hex"),
+    owner,
+    enabled: true,
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+  };
+  webhooks.set(webhook.id, webhook);
+  saveWebhooks();
+  return { webhook, secret };
+}
+
+function updateWebhook(webhook, input) {
+  const { fields, secret } = validateWebhook(input, webhook);
+  Object.assign(webhook, fields, { updatedAt: Date.now() });
+  saveWebhooks();
+  return { webhook, secret };
+}
+
+function deleteWebhook(id) {
+  if (!webhooks.delete(id)) return false;
+  for (const [deliveryId, pending] of retryTimers) {
+    if (pending.webhook.id === id) cancelRetry(deliveryId, "webhook deleted");
+  }
+  saveWebhooks();
+  return true;
+}
+
+function getWebhook(id) {
+  return webhooks.get(id) || null;
+}
+
+function listWebhooks() {
+  return [...webhooks.values()];
+}
+
+/** Webhook as returned by the API: everything except the secret */
+function publicWebhook(webhook) {
+  const { credentials, ...rest } = webhook;
+  return rest;
+}
+
+/** Deliveries of a webhook, newest first */
+function listDeliveries(webhookId, limit = 100) {
+  return [...deliveries.values()]
+    .filter((d) => d.webhookId === webhookId)
+    .reverse()
+    .slice(0, limit);
+}
+
+function sign(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/** One POST; resolves to { ok, statusCode, error } and never rejects */
+async function post(webhook, delivery, body) {
+  const timestamp = String(Date.now());
+  let response;
+  try {
+    // A secret that no longer decrypts (e.g. another SECRETS_KEY) is a failed delivery, not a crash
+    const secret = decryptSecret(webhook.credentials).secret;
+    response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "imapsync-server-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": sign(secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    const reason = err.name === "TimeoutError" ? `timed out after ${TIMEOUT_MS} ms` : err.message;
+    return { ok: false, statusCode: null, error: reason };
+  }
+  if (response.ok) return { ok: true, statusCode: response.status, error: null };
+
+  let answer = "";
+  try {
+    answer = (await response.text()).slice(0, MAX_RESPONSE_TEXT);
+  } catch (_) {
+    // the answer body does not matter
+  }
+  return { ok: false, statusCode: response.status, error: `HTTP ${response.status}${answer ? `: ${answer}` : ""}` };
+}
+
+function cancelRetry(deliveryId, reason) {
+  const pending = retryTimers.get(deliveryId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  retryTimers.delete(deliveryId);
+  const delivery = deliveries.get(deliveryId);
+  if (delivery) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    delivery.lastError = reason;
+    saveDelivery(delivery);
+  }
+}
+
+async function attempt(webhook, delivery, body) {
+  const startedAt = Date.now();
+  const result = await post(webhook, delivery, body);
+  delivery.attempts.push({
+    at: startedAt,
+    durationMs: Date.now() - startedAt,
+    statusCode: result.statusCode,
+    error: result.error,
+  });
+  delivery.lastError = result.error;
+
+  const retryable = delivery.event !== "job.progress" && delivery.attempts.length < delivery.maxAttempts;
+  if (result.ok) {
+    delivery.status = "delivered";
+    delivery.nextAttemptAt = null;
+  } else if (retryable && webhooks.has(webhook.id)) {
+    const delay = Math.min(RETRY_SECONDS * 1000 * 2 ** (delivery.attempts.length - 1), MAX_RETRY_DELAY_MS);
+    delivery.nextAttemptAt = Date.now() + delay;
+    const timer = setTimeout(() => {
+      retryTimers.delete(delivery.id);
+      attempt(webhook, delivery, body).catch((err) => attemptFailed(webhook, delivery, err));
+    }, delay);
+    retryTimers.set(delivery.id, { timer, webhook });
+  } else {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    console.warn(`Webhook ${webhook.name} (${webhook.url}): ${delivery.event} not delivered: ${result.error}`);
+  }
+  saveDelivery(delivery);
+}
+
+/** Last resort for a fire-and-forget attempt(): a webhook must never take the server down */
+function attemptFailed(webhook, delivery, err) {
+  console.warn(`Webhook ${webhook.name} (${webhook.url}): ${delivery.event} delivery failed: ${err.message}`);
+  delivery.status = "failed";
+  delivery.nextAttemptAt = null;
+  delivery.lastError = err.message;
+  try {
+    saveDelivery(delivery);
+  } catch (_) {
+    // the store is what failed
+  }
+}
+
+/** Queue one delivery of event to a webhook and send it right away */
+function deliver(webhook, event, job) {
+  const now = Date.now();
+  const delivery = {
+    id: crypto.randomBytes(12).toString("hex"),
+    webhookId: webhook.id,
+    event,
+    jobId: job ? job.id : null,
+    createdAt: now,
+    status: "pending",
+    maxAttempts: event === "job.progress" ? 1 : MAX_ATTEMPTS,
+    attempts: [],
+    nextAttemptAt: null,
+    lastError: null,
+  };
+  const body = JSON.stringify({ id: delivery.id, event, createdAt: now, job });
+  deliveries.set(delivery.id, delivery);
+  trimDeliveries();
+  saveDelivery(delivery);
+  attempt(webhook, delivery, body).catch((err) => attemptFailed(webhook, delivery, err));
+  return delivery;
+}
+
+/**
+ * Send a job lifecycle event (one of EVENTS) to every subscribed endpoint.
+ * jobView() builds the public job view; it is only called when something is sent,
+ * job.progress being throttled per job.
+ */
+function dispatch(event, jobId, jobView) {
+  if (["job.finished", "job.failed", "job.cancelled"].includes(event)) lastProgressAt.delete(jobId);
+
+  const targets = listWebhooks().filter((w) => w.enabled && w.events.includes(event));
+  if (!targets.length) return;
+
+  if (event === "job.progress") {
+    const now = Date.now();
+    if (now - (lastProgressAt.get(jobId) || 0) < PROGRESS_INTERVAL_MS) return;
+    lastProgressAt.set(jobId, now);
+  }
+
+  const job = jobView();
+  for (const webhook of targets) deliver(webhook, event, job);
+}
+
+/** Stop pending retries (server shutdown); they are recorded as interrupted on the next start */
+function stopRetries() {
+  for (const { timer } of retryTimers.values()) clearTimeout(timer);
+  retryTimers.clear();
+}
+
+module.exports = {
+  EVENTS,
+  loadWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  listWebhooks,
+  publicWebhook,
+  listDeliveries,
+  deliver,
+  dispatch,
+  stopRetries,
+};
@@ -0,0 +1,76 @@
+"use strict";
+
+/*
+  lib/cron.js: cron fields and the next run (server local time)
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextRun } = require("../lib/cron");
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+// Local time, as the schedules use it
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi).getTime();
+
+test("parses numbers, ranges, lists and steps", () => {
+  const cron = parseCron("*/15 8-18/5 1,15 * 1-5");
+  assert.deepEqual(sorted(cron.minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(cron.hour), [8, 13, 18]);
+  assert.deepEqual(sorted(cron.dayOfMonth), [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual(sorted(cron.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.equal(cron.dayOfMonthAny, false);
+  assert.equal(cron.dayOfWeekAny, false);
+  assert.deepEqual(sorted(parseCron("5/20 * * * *").minute), [5, 25, 45]);
+});
+
+test("takes month and weekday names, 7 for Sunday and the @ shortcuts", () => {
+  const cron = parseCron("0 2 * jan,JUL sun,7");
+  assert.deepEqual(sorted(cron.month), [1, 7]);
+  assert.deepEqual(sorted(cron.dayOfWeek), [0]);
+  assert.deepEqual(sorted(parseCron("0 0 * * mon-fri").dayOfWeek), [1, 2, 3, 4, 5]);
+
+  const daily = parseCron(" @daily ");
+  assert.equal(daily.expression, "@daily");
+  assert.deepEqual([sorted(daily.minute), sorted(daily.hour)], [[0], [0]]);
+  assert.deepEqual(sorted(parseCron("@weekly").dayOfWeek), [0]);
+});
+
+test("names the bad field of an invalid expression", () => {
+  assert.throws(() => parseCron(""), /it is empty/);
+  assert.throws(() => parseCron(null), /it is empty/);
+  assert.throws(() => parseCron("0 2 * *"), /expected 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute: 60 is not within 0-59/);
+  assert.throws(() => parseCron("0 0 0 * *"), /dayOfMonth: 0 is not within 1-31/);
+  assert.throws(() => parseCron("0 0 * foo *"), /month: "foo" is not a number/);
+  assert.throws(() => parseCron("0 5-1 * * *"), /hour: invalid range "5-1"/);
+  assert.throws(() => parseCron("*/0 * * * *"), /minute: invalid step/);
+});
+
+test("finds the next matching minute strictly after the given time", () => {
+  const cron = parseCron("30 2 * * *");
+  assert.equal(nextRun(cron, at(2026, 10, 19, 1, 0)), at(2026, 10, 19, 2, 30));
+  // Exactly on a run: the next one is a day later
+  assert.equal(nextRun(cron, at(2026, 10, 19, 2, 30)), at(2026, 10, 20, 2, 30));
+  assert.equal(nextRun(parseCron("@hourly"), at(2026, 10, 19, 1, 0) + 20 * 1000), at(2026, 10, 19, 2, 0));
+});
+
+test("rolls over months and years", () => {
+  assert.equal(nextRun(parseCron("@monthly"), at(2026, 12, 15)), at(2027, 1, 1));
+  assert.equal(nextRun(parseCron("0 0 29 2 *"), at(2026, 3, 1)), at(2028, 2, 29));
+  assert.equal(nextRun(parseCron("0 9 31 * *"), at(2026, 4, 1)), at(2026, 5, 31, 9, 0));
+});
+
+test("runs when either restricted day field matches, as classic cron does", () => {
+  // The 1st of the month or any Monday; 2026-10-19 is a Monday
+  const cron = parseCron("0 6 1 * mon");
+  assert.equal(nextRun(cron, at(2026, 10, 17)), at(2026, 10, 19, 6, 0));
+  assert.equal(nextRun(cron, at(2026, 10, 27)), at(2026, 11, 1, 6, 0));
+  // Weekdays only when the day of month is "*"
+  assert.equal(nextRun(parseCron("0 6 * * mon"), at(2026, 10, 20)), at(2026, 10, 26, 6, 0));
+});
+
+test("gives up on an expression that never matches", () => {
+  assert.equal(nextRun(parseCron("0 0 31 2 *"), at(2026, 1, 1)), null);
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+/*
+  lib/errors.js: failure categories from imapsync exit codes and output lines
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CATEGORIES, classifyLine, createErrorClassifier, classifyOutput } = require("../lib/errors");
+
+test("classifies well-known error lines and the host they name", () => {
+  const cases = [
+    ["Host2 failure: Error login on [imap.dest.test] with user [alice] auth [LOGIN]: 2 NO [AUTHENTICATIONFAILED] Authentication failed.", "auth", 2],
+    ["Host1: Can not resolve host imap.source.test: Name or service not known", "dns", 1],
+    ["Host1 failure: can not open socket to imap.source.test:993: Connection refused", "connect", 1],
+    ["Host2: SSL connect attempt failed error:0A000086:SSL routines::certificate verify failed", "tls", 2],
+    ["Err 1/3: could not append ... NO [OVERQUOTA] Quota exceeded", "quota", null],
+    ["Err 2/3: could not append ... NO Message too large", "too_large", null],
+    ["Host2: Could not create folder [Archive/2019]: NO [CANNOT] Invalid mailbox name", "folder", 2],
+  ];
+  for (const [line, category, host] of cases) {
+    const m = classifyLine(line);
+    assert.ok(m, `no category for: ${line}`);
+    assert.equal(m.category, category, line);
+    assert.equal(m.host, host, line);
+  }
+});
+
+test("ignores statistics and progress lines", () => {
+  assert.equal(classifyLine("Detected 3 errors"), null);
+  assert.equal(classifyLine("msg INBOX/12 {2048} copied to INBOX/7"), null);
+  assert.equal(classifyLine("Host1: folder [INBOX] has 12 messages"), null);
+  assert.equal(classifyLine(""), null);
+});
+
+test("a successful run has no error", () => {
+  const classifier = createErrorClassifier();
+  classifier.onLine("Err 1/1: could not append message, NO [OVERQUOTA]");
+  assert.equal(classifier.result({ code: 0 }), null);
+});
+
+test("maps documented exit codes to a category and host", () => {
+  const result = (code) => createErrorClassifier().result({ code });
+  assert.deepEqual(
+    [result(161), result(162), result(113), result(10)].map((e) => [e.category, e.host, e.exitCode]),
+    [["auth", 1, 161], ["auth", 2, 162], ["quota", 2, 113], ["connect", null, 10]]
+  );
+  const unknown = result(255);
+  assert.equal(unknown.category, "unknown");
+  assert.equal(unknown.title, CATEGORIES.unknown.title);
+});
+
+test("refines generic exit codes with the first matching output line", () => {
+  const out = "Host1: connecting\nErr 1/2: NO [OVERQUOTA] Mailbox is full\nHost2 failure: Error login: AUTHENTICATIONFAILED\n";
+  const transfer = classifyOutput(out, { code: 111 });
+  assert.equal(transfer.category, "quota");
+  assert.match(transfer.line, /OVERQUOTA/);
+
+  // A connection failure is told apart as DNS or TLS by the output
+  const dns = classifyOutput("Host2: Can not resolve imap.dest.test: getaddrinfo failed\n", { code: 102 });
+  assert.deepEqual([dns.category, dns.host], ["dns", 2]);
+  const connect = classifyOutput("Host2: Connection refused\n", { code: 102 });
+  assert.deepEqual([connect.category, connect.host], ["connect", 2]);
+});
+
+test("timeouts, cancellation and start failures win over the exit code", () => {
+  const classifier = createErrorClassifier();
+  classifier.onLine("Host1: AUTHENTICATIONFAILED");
+  assert.equal(classifier.result({ code: 143, timedOut: true }).category, "timeout");
+  assert.equal(classifier.result({ code: 124 }).category, "timeout");
+  assert.equal(classifier.result({ code: null, signal: "SIGTERM", cancelled: true }).category, "cancelled");
+  assert.equal(classifier.result({ code: null, signal: "SIGKILL" }).category, "cancelled");
+  assert.equal(classifier.result({ code: -2, spawnError: "spawn imapsync ENOENT" }).category, "spawn");
+});
+
+test("every category has a title and a hint", () => {
+  for (const [name, c] of Object.entries(CATEGORIES)) {
+    assert.ok(c.title && c.hint, name);
+  }
+});
@@ -0,0 +1,123 @@
+"use strict";
+
+/*
+  lib/mailer.js against a local SMTP sink (plain text, AUTH over a test-only plain connection)
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+
+const sessions = []; // { commands, message } of every connection
+let rcptReply = "250 OK";
+let server;
+let mailer;
+
+/** Minimal relay: EHLO offers STARTTLS and AUTH, DATA is collected until the lone "." */
+function smtpSink(socket) {
+  const session = { commands: [], message: null };
+  sessions.push(session);
+  let buffer = "";
+  let data = null;
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      if (data) {
+        if (line === ".") {
+          session.message = data.join("\r\n");
+          data = null;
+          reply("250 Queued");
+        } else {
+          data.push(line);
+        }
+        continue;
+      }
+      session.commands.push(line);
+      const verb = line.split(" ")[0].toUpperCase();
+      if (verb === "EHLO") reply("250-sink.test\r\n250-STARTTLS\r\n250 AUTH PLAIN LOGIN");
+      else if (verb === "AUTH") reply("235 Authenticated");
+      else if (verb === "MAIL") reply("250 OK");
+      else if (verb === "RCPT") reply(rcptReply);
+      else if (verb === "DATA") {
+        data = [];
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (verb === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else reply("502 Unknown command");
+    }
+  });
+  socket.on("error", () => {});
+  reply("220 sink.test ESMTP");
+}
+
+test.before(async () => {
+  server = net.createServer(smtpSink);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  // The relay settings are read when lib/mailer.js loads
+  Object.assign(process.env, {
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(server.address().port),
+    SMTP_STARTTLS: "false",
+    SMTP_USER: "relay-user",
+    SMTP_PASS: "relay-pass",
+    SMTP_ALLOW_PLAIN_AUTH: "true",
+    SMTP_FROM: "imapsync@sync.example",
+    SMTP_TIMEOUT_MS: "5000",
+  });
+  mailer = require("../lib/mailer");
+});
+
+test.after(() => server.close());
+
+test("validates notification addresses", () => {
+  assert.equal(mailer.validateEmail(" ops@example.com "), "ops@example.com");
+  assert.equal(mailer.validateEmail(""), null);
+  assert.throws(() => mailer.validateEmail("ops@example.com\r\nBcc: x@y.z"), /notifyEmail must be an e-mail address/);
+  assert.throws(() => mailer.validateEmail("no-at-sign", "to"), /to must be an e-mail address/);
+});
+
+test("delivers a mail through the relay", async () => {
+  sessions.length = 0;
+  await mailer.sendMail({
+    to: "ops@example.com",
+    subject: "Sync completed: Zürich",
+    text: "First line\n.\n.hidden dot line",
+  });
+
+  assert.equal(sessions.length, 1);
+  const { commands, message } = sessions[0];
+  assert.ok(!commands.includes("STARTTLS"), "STARTTLS sent although SMTP_STARTTLS=false");
+
+  const auth = commands.find((c) => c.startsWith("AUTH PLAIN "));
+  assert.equal(Buffer.from(auth.slice("AUTH PLAIN ".length), "base64").toString(), "\0relay-user\0relay-pass");
+  assert.ok(commands.includes("MAIL FROM:<imapsync@sync.example>"));
+  assert.ok(commands.includes("RCPT TO:<ops@example.com>"));
+
+  const [headers, body] = message.split("\r\n\r\n");
+  assert.match(headers, /^From: imapsync@sync\.example$/m);
+  assert.match(headers, /^To: ops@example\.com$/m);
+  assert.ok(headers.includes(`\r\nSubject: =?UTF-8?B?${Buffer.from("Sync completed: Zürich").toString("base64")}?=\r\n`), headers);
+  assert.match(headers, /^Message-ID: <[0-9a-f]{24}@sync\.example>$/m);
+  // Dot-stuffed on the wire
+  assert.equal(body, "First line\r\n..\r\n..hidden dot line");
+});
+
+test("rejects when the relay refuses the recipient", async () => {
+  rcptReply = "550 5.1.1 Mailbox unavailable";
+  try {
+    await assert.rejects(
+      mailer.sendMail({ to: "nobody@example.com", subject: "x", text: "y" }),
+      { message: "SMTP RCPT TO failed: 550 5.1.1 Mailbox unavailable" }
+    );
+  } finally {
+    rcptReply = "250 OK";
+  }
+});
@@ -0,0 +1,138 @@
+"use strict";
+
+/*
+  lib/oauth.js against a local mock token endpoint (OAUTH_MICROSOFT_TOKEN_URL)
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { decryptSecret } = require("../lib/secrets");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "oauth-test-"));
+const requests = []; // { path, fields } of every token request
+const replies = []; // { status, body } for the next token requests
+let server;
+let oauth;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ path: req.url, fields: Object.fromEntries(new URLSearchParams(body)) });
+      const reply = replies.shift() || { status: 500, body: { error: "no reply queued" } };
+      res.writeHead(reply.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // The provider endpoints are read when lib/oauth.js loads
+  Object.assign(process.env, {
+    OAUTH_MICROSOFT_AUTH_URL: `${base}/authorize`,
+    OAUTH_MICROSOFT_TOKEN_URL: `${base}/token`,
+    OAUTH_MICROSOFT_TENANT: "contoso.example",
+    OAUTH_MICROSOFT_CLIENT_ID: "client-id",
+    OAUTH_MICROSOFT_CLIENT_SECRET: "client-secret",
+    OAUTH_GRANTS_PATH: path.join(dataDir, "grants.json"),
+    SECRETS_KEY: crypto.randomBytes(32).toString("base64"),
+  });
+  oauth = require("../lib/oauth");
+  oauth.loadGrants();
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function idToken(claims) {
+  const part = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${part({ alg: "none" })}.${part(claims)}.`;
+}
+
+/** Sign in through the mock: authorization URL, then the code exchange of the callback */
+async function signIn(tokenReply) {
+  const url = new URL(oauth.authorizationUrl("microsoft", { owner: "alice", side: 1, redirectUri: "http://app.test/cb" }));
+  replies.push({ status: 200, body: tokenReply });
+  return { url, ...(await oauth.completeAuthorization({ state: url.searchParams.get("state"), code: "the-code", owner: "alice" })) };
+}
+
+test("lists Microsoft 365 as configured for sign-in and service access", () => {
+  assert.deepEqual(oauth.listProviders(), [{ id: "microsoft", name: "Microsoft 365", interactive: true, service: true }]);
+});
+
+test("exchanges the authorization code at the configured token endpoint", async () => {
+  requests.length = 0;
+  const { url, grant, side } = await signIn({
+    access_token: "access-1",
+    refresh_token: "refresh-1",
+    expires_in: 3600,
+    id_token: idToken({ email: "alice@contoso.example" }),
+  });
+
+  assert.equal(url.pathname, "/authorize");
+  assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+  assert.equal(side, 1);
+  assert.equal(grant.email, "alice@contoso.example");
+  assert.equal(grant.owner, "alice");
+  assert.ok(!JSON.stringify(grant).includes("refresh-1"), "refresh token stored in clear");
+
+  assert.equal(requests.length, 1);
+  const { path: tokenPath, fields } = requests[0];
+  assert.equal(tokenPath, "/token");
+  assert.equal(fields.grant_type, "authorization_code");
+  assert.equal(fields.code, "the-code");
+  assert.equal(fields.redirect_uri, "http://app.test/cb");
+  assert.equal(fields.client_secret, "client-secret");
+  const challenge = crypto.createHash("sha256").update(fields.code_verifier).digest("base64url");
+  assert.equal(url.searchParams.get("code_challenge"), challenge);
+
+  // The access token of the exchange is cached
+  const resolved = await oauth.resolveAccessTokens({ auth1: { type: "oauth", grant: grant.id }, user1: grant.email });
+  assert.equal(resolved.token1, "access-1");
+  assert.equal(requests.length, 1);
+});
+
+test("refreshes an access token close to expiry and keeps a rotated refresh token", async () => {
+  const { grant } = await signIn({ access_token: "short-lived", refresh_token: "refresh-old", expires_in: 60 });
+  requests.length = 0;
+
+  replies.push({ status: 200, body: { access_token: "access-2", refresh_token: "refresh-new", expires_in: 3600 } });
+  const resolved = await oauth.resolveAccessTokens({ auth1: { type: "oauth", grant: grant.id } });
+  assert.equal(resolved.token1, "access-2");
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].fields.grant_type, "refresh_token");
+  assert.equal(requests[0].fields.refresh_token, "refresh-old");
+
+  // The rotated refresh token was stored for the next refresh
+  const stored = JSON.parse(fs.readFileSync(process.env.OAUTH_GRANTS_PATH, "utf8")).find((g) => g.id === grant.id);
+  assert.deepEqual(decryptSecret(stored.credentials), { refreshToken: "refresh-new" });
+});
+
+test("fetches client credential tokens for service access", async () => {
+  requests.length = 0;
+  replies.push({ status: 200, body: { access_token: "service-token", expires_in: 3600 } });
+
+  const resolved = await oauth.resolveAccessTokens({ user2: "bob@contoso.example", auth2: { type: "service", provider: "microsoft" } });
+  assert.equal(resolved.token2, "service-token");
+  assert.equal(requests[0].fields.grant_type, "client_credentials");
+  assert.equal(requests[0].fields.scope, "https://outlook.office365.com/.default");
+});
+
+test("reports the error of a refused token request", async () => {
+  const { grant } = await signIn({ access_token: "expired", refresh_token: "revoked", expires_in: 1 });
+  replies.push({ status: 400, body: { error: "invalid_grant", error_description: "AADSTS70008: The refresh token has expired" } });
+
+  await assert.rejects(
+    oauth.resolveAccessTokens({ auth1: { type: "oauth", grant: grant.id } }),
+    { message: "Microsoft 365 token request failed: AADSTS70008: The refresh token has expired" }
+  );
+});
@@ -0,0 +1,65 @@
+"use strict";
+
+/*
+  lib/retry.js: retry policies, retryable categories and the backoff
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RETRYABLE, validateRetryPolicy, shouldRetry, retryDelayMs } = require("../lib/retry");
+
+test("fills a partial policy from the defaults", () => {
+  const policy = validateRetryPolicy({ maxAttempts: 3 });
+  assert.equal(policy.maxAttempts, 3);
+  assert.equal(policy.backoffSeconds, 60);
+  assert.deepEqual(policy.categories, ["connect", "dns", "timeout", "transfer"]);
+  assert.deepEqual(validateRetryPolicy(undefined), validateRetryPolicy({}));
+});
+
+test("drops duplicate categories", () => {
+  assert.deepEqual(validateRetryPolicy({ categories: ["connect", "timeout", "connect"] }).categories, ["connect", "timeout"]);
+});
+
+test("rejects bad policies and lists every problem", () => {
+  assert.throws(() => validateRetryPolicy([]), /retry must be an object/);
+  assert.throws(() => validateRetryPolicy("3"), /retry must be an object/);
+  assert.throws(
+    () => validateRetryPolicy({ maxAttempts: 0, backoffSeconds: 0.5, categories: ["connect", "bogus"], delay: 5 }),
+    (err) => {
+      assert.match(err.message, /^Invalid retry policy: /);
+      assert.match(err.message, /Unknown retry setting: delay/);
+      assert.match(err.message, /maxAttempts must be an integer from 1 to 10/);
+      assert.match(err.message, /backoffSeconds must be a number from 1 to 3600/);
+      assert.match(err.message, /Unknown or not retryable category: bogus/);
+      return true;
+    }
+  );
+  assert.throws(() => validateRetryPolicy({ maxAttempts: 11 }), /maxAttempts/);
+  assert.throws(() => validateRetryPolicy({ categories: "connect" }), /categories must be a list/);
+});
+
+test("never retries cancelled runs or a binary that cannot start", () => {
+  assert.ok(!RETRYABLE.includes("cancelled"));
+  assert.ok(!RETRYABLE.includes("spawn"));
+  assert.ok(RETRYABLE.includes("auth"));
+  assert.throws(() => validateRetryPolicy({ categories: ["cancelled"] }), /not retryable category: cancelled/);
+  assert.throws(() => validateRetryPolicy({ categories: ["spawn"] }), /not retryable category: spawn/);
+});
+
+test("retries listed categories until the last attempt", () => {
+  const policy = validateRetryPolicy({ maxAttempts: 3, categories: ["connect", "timeout"] });
+  assert.equal(shouldRetry(policy, { category: "connect" }, 1), true);
+  assert.equal(shouldRetry(policy, { category: "timeout" }, 2), true);
+  assert.equal(shouldRetry(policy, { category: "timeout" }, 3), false);
+  assert.equal(shouldRetry(policy, { category: "auth" }, 1), false);
+  assert.equal(shouldRetry(policy, null, 1), false);
+  assert.equal(shouldRetry(null, { category: "connect" }, 1), false);
+});
+
+test("doubles the delay after every attempt, up to one hour", () => {
+  const policy = validateRetryPolicy({ backoffSeconds: 60, maxAttempts: 10 });
+  assert.deepEqual([1, 2, 3, 4].map((n) => retryDelayMs(policy, n)), [60000, 120000, 240000, 480000]);
+  assert.equal(retryDelayMs(policy, 7), 3600 * 1000);
+  assert.equal(retryDelayMs(validateRetryPolicy({ backoffSeconds: 1.5 }), 2), 3000);
+});
@@ -0,0 +1,141 @@
+"use strict";
+
+/*
+  lib/runner.js against fake imapsync shell scripts (the `bin` of a run)
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const runner = require("../lib/runner");
+
+const PAYLOAD = {
+  host1: "imap.source.test",
+  user1: "alice",
+  pass1: "s3cret-source",
+  host2: "imap.dest.test",
+  user2: "alice",
+  pass2: "s3cret-dest",
+};
+
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), "runner-test-"));
+test.after(() => fs.rmSync(binDir, { recursive: true, force: true }));
+
+/** Write an executable fake imapsync with `body` as its shell script */
+function fakeImapsync(name, body) {
+  const file = path.join(binDir, name);
+  fs.writeFileSync(file, `#!/bin/sh\n${body}\n`, { mode: 0o700 });
+  return file;
+}
+
+/** Start a run and collect its lines, timeouts and exit result */
+function collect(settings) {
+  const run = runner.startRun({ payload: PAYLOAD, ...settings });
+  const lines = [];
+  const timeouts = [];
+  run.on("line", (line, stream) => lines.push({ line, stream }));
+  run.on("timeout", (t) => timeouts.push(t));
+  return new Promise((resolve) => {
+    run.on("exit", (result) => resolve({ run, lines, timeouts, result }));
+  });
+}
+
+/** Value following `flag` in the argument list */
+function argValue(args, flag) {
+  return args[args.indexOf(flag) + 1];
+}
+
+// Echoes what imapsync would log in --debug: the passwords read from the passfiles
+const ECHO_PASSWORDS = `
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --passfile1) echo "Host1: LOGIN alice \\"$(cat "$2")\\""; shift ;;
+    --passfile2) echo "Host2: LOGIN alice $(cat "$2")" >&2; shift ;;
+  esac
+  shift
+done`;
+
+test("redacts passwords from every line and removes the passfiles", async () => {
+  const bin = fakeImapsync("echo-passwords", `${ECHO_PASSWORDS}\nexit 0`);
+  const { run, lines, result } = await collect({ mode: "sync", bin });
+
+  const text = lines.map((l) => l.line).join("");
+  assert.match(text, /Host1: LOGIN alice "\*{8}"/);
+  assert.match(text, /Host2: LOGIN alice \*{8}/);
+  assert.ok(!text.includes(PAYLOAD.pass1) && !text.includes(PAYLOAD.pass2), text);
+  assert.deepEqual([...new Set(lines.map((l) => l.stream))].sort(), ["stderr", "stdout"]);
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(result.timedOut, false);
+  assert.equal(result.error, null);
+
+  for (const flag of ["--passfile1", "--passfile2"]) {
+    const file = argValue(run.args, flag);
+    assert.ok(file, `${flag} missing from ${run.args.join(" ")}`);
+    assert.equal(fs.existsSync(file), false, `${file} still exists`);
+    assert.equal(fs.existsSync(path.dirname(file)), false);
+  }
+});
+
+test("classifies a failed run from its exit code and output", async () => {
+  const bin = fakeImapsync("auth-failure", 'echo "Host2 failure: Error login on [imap.dest.test] with user [alice]: AUTHENTICATIONFAILED"\nexit 162');
+  const { result } = await collect({ mode: "sync", bin });
+
+  assert.equal(result.code, 162);
+  assert.equal(result.exitCode, 162);
+  assert.equal(result.error.category, "auth");
+  assert.equal(result.error.host, 2);
+});
+
+test("fails a --justlogin check on a HostN FAIL line even with exit code 0", async () => {
+  const bin = fakeImapsync("justlogin-fail", 'echo "Host1: imap.source.test says it has NO CAPABILITY for AUTHENTICATE LOGIN FAIL"\nexit 0');
+  const { run, result } = await collect({ mode: "justlogin", bin });
+
+  assert.ok(run.args.includes("--justlogin"));
+  assert.equal(result.exitCode, 0);
+  assert.ok(result.error, "expected an error for the FAIL line");
+});
+
+test("terminates a run over its time limit and reports exit code 124", async () => {
+  const bin = fakeImapsync("hang", `${ECHO_PASSWORDS}\nexec sleep 30`);
+  const { run, timeouts, result } = await collect({ mode: "sync", bin, timeoutMs: 300 });
+
+  assert.deepEqual(timeouts, [{ kind: "run", ms: 300 }]);
+  assert.equal(result.timedOut, true);
+  assert.equal(result.signal, "SIGTERM");
+  assert.equal(result.exitCode, 124);
+  assert.equal(result.error.category, "timeout");
+  assert.equal(fs.existsSync(argValue(run.args, "--passfile1")), false);
+});
+
+test("terminates a run without output after the inactivity timeout", async () => {
+  const bin = fakeImapsync("silent", 'echo "Starting"\nexec sleep 30');
+  const { timeouts, result } = await collect({ mode: "sync", bin, inactivityTimeoutMs: 300 });
+
+  assert.deepEqual(timeouts, [{ kind: "inactivity", ms: 300 }]);
+  assert.equal(result.exitCode, 124);
+  assert.equal(result.error.category, "timeout");
+});
+
+test("reports a binary that cannot be started", async () => {
+  const { run, lines, result } = await collect({ mode: "sync", bin: path.join(binDir, "missing") });
+
+  assert.ok(result.spawnError);
+  assert.equal(result.error.category, "spawn");
+  assert.ok(lines.some((l) => l.stream === "server" && /Failed to start imapsync/.test(l.line)));
+  assert.equal(fs.existsSync(argValue(run.args, "--passfile1")), false);
+});
+
+test("uses --oauthaccesstoken files for token accounts and redacts the tokens", async () => {
+  const bin = fakeImapsync("echo-token", 'while [ $# -gt 0 ]; do [ "$1" = --oauthaccesstoken1 ] && echo "token $(cat "$2")"; shift; done\nexit 0');
+  const payload = { ...PAYLOAD, pass1: undefined, token1: "ya29.token-value" };
+  const { run, lines, result } = await collect({ mode: "sync", bin, payload });
+
+  assert.equal(run.args.includes("--passfile1"), false);
+  assert.equal(lines.map((l) => l.line).join(""), "token ********\n");
+  assert.equal(result.error, null);
+  assert.equal(fs.existsSync(argValue(run.args, "--oauthaccesstoken1")), false);
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+/*
+  lib/summary.js: the imapsync "++++ Statistics" block
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSummaryParser, summaryToCsv } = require("../lib/summary");
+
+const STATISTICS = `
+Host1 Nb messages           : 1200 messages
+++++ Statistics
+Transfer started on               : Mon Oct 19 02:00:01 2026
+Transfer time                     : 73.4 sec
+Folders synced                    : 12/14 synced
+Messages transferred              : 42
+Messages skipped                  : 1158
+Messages found duplicate on host1 : 0
+Messages found duplicate on host2 : 3
+Messages found in host1 not in host2 : 2 messages
+Messages deleted on host1         : 0
+Messages deleted on host2         : 0
+Total bytes transferred           : 123456 (120.562 KiB)
+Total bytes skipped               : 98765432 (94.190 MiB)
+Message rate                      : 0.6 messages/s
+Average bandwidth rate            : 1.6 KiB/s
+Reconnections to host1            : 0
+Reconnections to host2            : 1
+Biggest message                   : 5242880 bytes (5.000 MiB)
+Host1 Nb messages                 : 1202 messages
+Host2 Nb messages                 : 1203 messages
+Start difference host2 - host1    : -1158 messages, -98765432 bytes (-94.190 MiB)
+Final difference host2 - host1    : 1 messages, 0 bytes (0.000 KiB)
+Detected 2 errors
+`;
+
+function parse(text) {
+  const parser = createSummaryParser();
+  for (const line of text.split("\n")) parser.onLine(`${line}\n`);
+  return parser.summary();
+}
+
+test("parses the statistics block into numbers", () => {
+  assert.deepEqual(parse(STATISTICS), {
+    transferSeconds: 73.4,
+    foldersSynced: 12,
+    foldersTotal: 14,
+    messagesTransferred: 42,
+    messagesSkipped: 1158,
+    duplicatesHost1: 0,
+    duplicatesHost2: 3,
+    missingOnHost2: 2,
+    deletedHost1: 0,
+    deletedHost2: 0,
+    bytesTransferred: 123456,
+    bytesSkipped: 98765432,
+    messagesPerSecond: 0.6,
+    kibPerSecond: 1.6,
+    reconnectionsHost1: 0,
+    reconnectionsHost2: 1,
+    biggestMessageBytes: 5242880,
+    // The counts after the sync win over those printed before it
+    host1Messages: 1202,
+    host2Messages: 1203,
+    startDifferenceMessages: -1158,
+    finalDifferenceMessages: 1,
+    errors: 2,
+  });
+});
+
+test("reports zero errors when imapsync printed no error count", () => {
+  const summary = parse("Messages transferred : 5\nTotal bytes transferred : 100\n");
+  assert.equal(summary.errors, 0);
+  assert.equal(summary.messagesTransferred, 5);
+});
+
+test("returns null without statistics", () => {
+  assert.equal(parse("Host1: IMAP server [imap.example.com] port [993]\nExiting with return value 10\n"), null);
+});
+
+test("ignores progress lines that only look like statistics", () => {
+  const summary = parse("msg INBOX/12 {2048} copied to INBOX/7 0.11 msgs/s 1.600 KiB/s\nDetected 0 errors\n");
+  assert.deepEqual(summary, { errors: 0 });
+});
+
+test("writes the summary as name/value CSV", () => {
+  assert.equal(summaryToCsv({ messagesTransferred: 42, errors: 0 }), "name,value\r\nmessagesTransferred,42\r\nerrors,0\r\n");
+  assert.equal(summaryToCsv(null), "name,value\r\n");
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+/*
+  lib/throttle.js: time-of-day windows and the limits a job runs with
+  Run with: npm test
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "throttle-test-"));
+// The rules file is chosen when lib/throttle.js loads
+process.env.THROTTLE_RULES_PATH = path.join(dataDir, "rules.json");
+const throttle = require("../lib/throttle");
+
+// Local time; 2026-10-19 is a Monday, 2026-10-24 a Saturday
+const at = (d, h, mi = 0) => new Date(2026, 9, d, h, mi);
+
+test.beforeEach(() => {
+  for (const rule of throttle.listRules()) throttle.deleteRule(rule.id);
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("uses the window limits only while the window is open", () => {
+  throttle.createRule({
+    host: "imap.example.com",
+    limits: { maxbytespersecond: 1000000 },
+    windows: [{ days: [1, 2, 3, 4, 5], from: "08:00", to: "18:00", limits: { maxbytespersecond: 200000 } }],
+  }, "admin");
+  const limit = (date) => throttle.effectiveLimits("imap.example.com", {}, date).limits.maxbytespersecond;
+
+  assert.equal(limit(at(19, 7, 59)), 1000000);
+  assert.equal(limit(at(19, 8, 0)), 200000);
+  assert.equal(limit(at(19, 17, 59)), 200000);
+  assert.equal(limit(at(19, 18, 0)), 1000000);
+  // Saturday is not one of its days
+  assert.equal(limit(at(24, 12, 0)), 1000000);
+});
+
+test("keeps a window open past midnight on the day after it opened", () => {
+  throttle.createRule({
+    host: "*",
+    limits: { maxmessagespersecond: 10 },
+    // Friday night into Saturday
+    windows: [{ days: [5], from: "22:00", to: "06:00", limits: { maxmessagespersecond: 2 } }],
+  }, "admin");
+  const limit = (date) => throttle.effectiveLimits("any.host", {}, date).limits.maxmessagespersecond;
+
+  assert.equal(limit(at(23, 21, 59)), 10); // Friday, not open yet
+  assert.equal(limit(at(23, 22, 0)), 2); // Friday, opened
+  assert.equal(limit(at(24, 5, 59)), 2); // Saturday morning, still open
+  assert.equal(limit(at(24, 6, 0)), 10); // Saturday, closed
+  assert.equal(limit(at(24, 23, 0)), 10); // Saturday night does not open it
+  assert.equal(limit(at(23, 3, 0)), 10); // Friday morning: Thursday did not open it
+});
+
+test("takes the strictest value of each limit among the job and every matching rule", () => {
+  throttle.createRule({ host: "*", limits: { maxbytespersecond: 500000, maxmessagespersecond: 20 } }, "admin");
+  throttle.createRule({ host: "*.example.com", limits: { maxbytespersecond: 300000 } }, "admin");
+  throttle.createRule({ host: "other.example.org", limits: { maxbytespersecond: 1 } }, "admin");
+  const disabled = throttle.createRule({ host: "*", limits: { maxmessagespersecond: 1 } }, "admin");
+  throttle.updateRule(disabled, { enabled: false });
+
+  const result = throttle.effectiveLimits("IMAP.example.com", { maxbytespersecond: 400000, maxmessagespersecond: 5 }, at(19, 12));
+  assert.deepEqual(result.limits, { maxbytespersecond: 300000, maxmessagespersecond: 5 });
+  assert.equal(result.rules.length, 2);
+
+  assert.deepEqual(throttle.effectiveLimits("imap.example.net", {}, at(19, 12)).limits, { maxbytespersecond: 500000, maxmessagespersecond: 20 });
+});
+
+test("without matching rules, a job keeps its own limits and no onChange", () => {
+  throttle.createRule({ host: "mail.example.com", limits: { maxbytespersecond: 1 } }, "admin");
+  assert.deepEqual(throttle.effectiveLimits("imap.example.com", { maxbytesafter: 1000 }, at(19, 12)), {
+    limits: { maxbytesafter: 1000 },
+    onChange: null,
+    rules: [],
+  });
+});
+
+test("requeue wins over restart, and restart over none, when rules disagree", () => {
+  const onChange = () => throttle.effectiveLimits("imap.example.com", {}, at(19, 12)).onChange;
+  throttle.createRule({ host: "*", limits: {}, onChange: "none" }, "admin");
+  assert.equal(onChange(), "none");
+  throttle.createRule({ host: "*.example.com", limits: {} }, "admin");
+  assert.equal(onChange(), "restart");
+  throttle.createRule({ host: "imap.example.com", limits: {}, onChange: "requeue" }, "admin");
+  assert.equal(onChange(), "requeue");
+});
+
+test("rejects invalid rules", () => {
+  assert.throws(() => throttle.createRule({ host: "imap example", limits: {} }, "admin"), /host must be a host name/);
+  assert.throws(() => throttle.createRule({ host: "*", limits: {}, onChange: "later" }, "admin"), /onChange must be one of restart, requeue, none/);
+  assert.throws(
+    () => throttle.createRule({ host: "*", limits: {}, windows: [{ days: [1], from: "8", to: "18:00", limits: {} }] }, "admin"),
+    /windows\[0\]\.from must be a time like 08:00/
+  );
+});